@@ -8,7 +8,9 @@
   'use strict';
 
   /* ---------- CONSTANTS ---------- */
-  const API_BASE = 'https://data-api.polymarket.com';
+  const DEFAULT_API_BASE = 'https://data-api.polymarket.com';
+  const DEFAULT_GAMMA_BASE = 'https://gamma-api.polymarket.com';
+  const POLYMARKET_EVENT_URL = 'https://polymarket.com/event/';
   const ADDR_RE = /^0x[a-fA-F0-9]{40}$/;
 
   /*
@@ -17,14 +19,25 @@
    *   /closed-positions  — hard cap at 50 per page (silently truncates)
    *   /trades            — max 10,000 per page, offset max 10,000
    *   /activity          — max 500 per page, offset max 10,000
+   * `windowed` endpoints accept an `end` timestamp, so once the offset cap is
+   * hit paging restarts from offset 0 in an older time window.
    */
   const ENDPOINT_CONFIG = {
     positions:       { limit: 500,   maxOffset: 100000 },
     closedPositions: { limit: 50,    maxOffset: 100000 },
-    trades:          { limit: 10000, maxOffset: 10000  },
-    activity:        { limit: 500,   maxOffset: 10000  },
+    trades:          { limit: 10000, maxOffset: 10000, windowed: true },
+    activity:        { limit: 500,   maxOffset: 10000, windowed: true },
   };
 
+  /* Safety valve for the windowed walk (~4M activity rows) */
+  const MAX_WINDOWS = 200;
+
+  /* Retries for 429 / 5xx / network errors: exponential backoff with jitter */
+  const RETRY = { attempts: 4, baseDelay: 500, maxDelay: 15000, maxRetryAfter: 60000 };
+
+  /* Activity types that pay the wallet without a trade */
+  const INCOME_TYPES = ['REWARD', 'MAKER_REBATE', 'YIELD'];
+
   const CHART_COLORS = [
     '#C0503A', '#2D8A54', '#7B6250', '#4A7A8A', '#A06830',
     '#6A8A5B', '#8B5E6E', '#5A7060', '#B07848', '#5B7E90',
@@ -37,6 +50,7 @@
   const entryScreen = $('#entry-screen');
   const loadingScreen = $('#loading-screen');
   const dashboard = $('#dashboard');
+  const compareScreen = $('#compare-screen');
   const addressInput = $('#address-input');
   const loadBtn = $('#load-btn');
   const entryError = $('#entry-error');
@@ -78,9 +92,14 @@
     if (!dashboard.classList.contains('hidden') && lastData) {
       /* Suppress animations during theme switch */
       dashboard.classList.add('no-anim');
-      renderAllCharts(lastData);
+      renderAllCharts(getViewData());
       requestAnimationFrame(() => dashboard.classList.remove('no-anim'));
     }
+    if (!compareScreen.classList.contains('hidden') && compareData) {
+      chartDefaults();
+      destroyCharts();
+      renderCompareCharts(compareData);
+    }
   }
 
   /* Restore saved theme (default: light) */
@@ -94,6 +113,7 @@
   /* Wire both toggle buttons */
   $('#entry-theme-btn').addEventListener('click', toggleTheme);
   $('#dash-theme-btn').addEventListener('click', toggleTheme);
+  $('#compare-theme-btn').addEventListener('click', toggleTheme);
 
   /* ---------- HELPERS ---------- */
   function getCSSVar(name) {
@@ -115,6 +135,35 @@
     return (num >= 0 ? '+' : '') + (num * 100).toFixed(1) + '%';
   }
 
+  function formatAge(ms) {
+    const mins = Math.floor((Date.now() - ms) / 60000);
+    if (mins < 1) return 'just now';
+    if (mins < 60) return mins + 'm ago';
+    const hrs = Math.floor(mins / 60);
+    if (hrs < 24) return hrs + 'h ago';
+    return Math.floor(hrs / 24) + 'd ago';
+  }
+
+  /** Compact span such as "45m", "6h", "12d" or "1.4y". */
+  function formatDuration(ms) {
+    if (ms == null || isNaN(ms)) return '—';
+    const mins = Math.floor(ms / 60000);
+    if (mins < 60) return mins + 'm';
+    const hrs = Math.floor(mins / 60);
+    if (hrs < 24) return hrs + 'h';
+    const days = Math.floor(hrs / 24);
+    if (days < 365) return days + 'd';
+    return (days / 365).toFixed(1) + 'y';
+  }
+
+  /** API timestamps are usually unix seconds; accept ms and ISO strings too. */
+  function toMs(ts) {
+    if (ts == null || ts === '') return NaN;
+    const num = Number(ts);
+    if (isNaN(num)) return new Date(ts).getTime();
+    return num < 1e12 ? num * 1000 : num;
+  }
+
   function formatDate(d) {
     if (!d) return '—';
     const dt = new Date(d);
@@ -146,11 +195,234 @@
     return el.innerHTML;
   }
 
+  /* ---------- DATA SOURCE ---------- */
+  /*
+   * By default every request goes to the live Data API. Two overrides exist
+   * for demos and reproducing reports without network access:
+   *   ?api=<base>       — send requests to a stand-in server instead
+   *   ?fixtures=<dir>   — replay recorded responses, one JSON file per endpoint
+   *   ?gamma=<base>     — market metadata (categories) from another server
+   * The same keys can be set on window.POLYFOLIO_CONFIG before app.js loads.
+   * A directory of recordings can also be picked from the entry screen.
+   */
+  const FIXTURE_FILES = {
+    '/positions': 'positions.json',
+    '/closed-positions': 'closed-positions.json',
+    '/trades': 'trades.json',
+    '/activity': 'activity.json',
+    '/v1/leaderboard': 'leaderboard.json',
+    '/value': 'value.json',
+    /* Gamma API; optional, categories fall back to "Uncategorized" */
+    '/events': 'events.json',
+  };
+
+  let dataSource = resolveDataSource();
+  let fixtureCache = {};
+
+  function resolveDataSource() {
+    const cfg = window.POLYFOLIO_CONFIG || {};
+    const params = new URLSearchParams(window.location.search);
+    const fixtures = params.get('fixtures') || cfg.fixtures;
+    const api = params.get('api') || cfg.api;
+    const gamma = (params.get('gamma') || cfg.gamma || DEFAULT_GAMMA_BASE).replace(/\/+$/, '');
+    if (fixtures) {
+      return { mode: 'fixtures', base: fixtures.endsWith('/') ? fixtures : fixtures + '/', gamma, files: null };
+    }
+    if (api) return { mode: 'proxy', base: api.replace(/\/+$/, ''), gamma, files: null };
+    return { mode: 'live', base: DEFAULT_API_BASE, gamma, files: null };
+  }
+
+  /**
+   * Switch to replaying an in-memory set of recordings (from the directory
+   * picker). `files` maps fixture file names to parsed JSON.
+   */
+  function useFixtureFiles(files) {
+    dataSource = { mode: 'fixtures', base: 'local files', gamma: dataSource.gamma, files };
+    fixtureCache = {};
+  }
+
+  function loadFixtureFile(name) {
+    if (!fixtureCache[name]) {
+      if (dataSource.files) {
+        fixtureCache[name] = name in dataSource.files
+          ? Promise.resolve(dataSource.files[name])
+          : Promise.reject(new Error(`Fixture missing: ${name}`));
+      } else {
+        fixtureCache[name] = fetch(dataSource.base + name).then(res => {
+          if (!res.ok) throw new Error(`Fixture ${res.status}: ${name}`);
+          return res.json();
+        });
+      }
+    }
+    return fixtureCache[name];
+  }
+
+  /**
+   * Answer an API path from the recorded files. Recordings hold the full
+   * result set, so the user, the start/end time window and limit/offset
+   * are applied here to keep paging identical to the live API.
+   */
+  async function fetchFixture(path) {
+    const url = new URL(path, 'http://fixture.local');
+    const name = FIXTURE_FILES[url.pathname];
+    if (!name) throw new Error(`No fixture for ${url.pathname}`);
+    const raw = await loadFixtureFile(name);
+    const slugs = url.searchParams.getAll('slug');
+    if (slugs.length) return (unwrapArray(raw) || []).filter(r => slugs.includes(r.slug));
+    /* A recording may hold several wallets; each group member sees only its own rows */
+    const user = (url.searchParams.get('user') || '').toLowerCase();
+    let rows = unwrapArray(raw);
+    if (user && rows) {
+      rows = rows.filter(r => {
+        const owner = r && (r.proxyWallet || r.user);
+        return !owner || String(owner).toLowerCase() === user;
+      });
+    }
+    const limit = Number(url.searchParams.get('limit'));
+    if (!limit) return rows || raw;
+    rows = rows || [];
+    /* Both bounds are inclusive, like the API's */
+    const start = url.searchParams.get('start');
+    const end = url.searchParams.get('end');
+    if (start !== null) rows = rows.filter(r => Number(r.timestamp || 0) >= Number(start));
+    if (end !== null) rows = rows.filter(r => Number(r.timestamp || 0) <= Number(end));
+    const offset = Number(url.searchParams.get('offset')) || 0;
+    return rows.slice(offset, offset + limit);
+  }
+
+  /**
+   * Pick a wallet address out of a set of recordings, so a dropped-in
+   * directory can be analyzed without typing the address.
+   */
+  function addressFromFixtures(files) {
+    for (const name of Object.keys(files)) {
+      const rows = unwrapArray(files[name]) || [];
+      const row = rows.find(r => r && ADDR_RE.test(r.proxyWallet || ''));
+      if (row) return row.proxyWallet.toLowerCase();
+    }
+    return null;
+  }
+
+  function renderSourceBadge() {
+    const badge = $('#source-badge');
+    if (dataSource.mode === 'live') {
+      badge.classList.add('hidden');
+      return;
+    }
+    badge.textContent = dataSource.mode === 'fixtures' ? 'Fixtures' : 'Local API';
+    badge.title = dataSource.base;
+    badge.classList.remove('hidden');
+  }
+
   /* ---------- API WITH PAGINATION ---------- */
-  async function fetchJSON(path) {
-    const res = await fetch(API_BASE + path);
-    if (!res.ok) throw new Error(`API ${res.status}: ${path}`);
-    return res.json();
+  function abortError(signal) {
+    return signal.reason || new DOMException('Aborted', 'AbortError');
+  }
+
+  /** setTimeout as a promise; rejects early if `signal` aborts. */
+  function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) { reject(abortError(signal)); return; }
+      const timer = setTimeout(resolve, ms);
+      if (signal) {
+        signal.addEventListener('abort', () => {
+          clearTimeout(timer);
+          reject(abortError(signal));
+        }, { once: true });
+      }
+    });
+  }
+
+  /**
+   * How long to wait before retry number `attempt`. A Retry-After header
+   * (seconds or HTTP date) wins over the backoff schedule.
+   */
+  function retryDelay(res, attempt) {
+    const header = res && res.headers ? res.headers.get('Retry-After') : null;
+    if (header) {
+      const secs = Number(header);
+      if (!isNaN(secs)) return Math.min(secs * 1000, RETRY.maxRetryAfter);
+      const at = Date.parse(header);
+      if (!isNaN(at)) return Math.min(Math.max(at - Date.now(), 0), RETRY.maxRetryAfter);
+    }
+    const backoff = Math.min(RETRY.baseDelay * 2 ** attempt, RETRY.maxDelay);
+    return backoff * (0.75 + Math.random() * 0.5);
+  }
+
+  /**
+   * GET an API path, retrying rate limits, server errors and network
+   * failures. Failed attempts are counted on `status.retries`. The final
+   * error carries the HTTP `status` when there was a response. Aborting
+   * `signal` cancels the request and any pending retry. `api: 'gamma'`
+   * targets the market metadata API instead of the Data API.
+   */
+  async function fetchJSON(path, { status, signal, api = 'data' } = {}) {
+    if (dataSource.mode === 'fixtures') return fetchFixture(path);
+    const base = api === 'gamma' ? dataSource.gamma : dataSource.base;
+    for (let attempt = 0; ; attempt++) {
+      let res = null;
+      let err = null;
+      try {
+        res = await fetch(base + path, { signal });
+        if (res.ok) return res.json();
+        err = new Error(`API ${res.status}: ${path}`);
+        err.status = res.status;
+      } catch (e) {
+        if (signal && signal.aborted) throw e;
+        err = e;
+      }
+      const retryable = !res || res.status === 429 || res.status >= 500;
+      if (!retryable || attempt >= RETRY.attempts) throw err;
+      if (status) status.retries++;
+      await sleep(retryDelay(res, attempt), signal);
+    }
+  }
+
+  /* ---------- LOAD STATUS ---------- */
+  /*
+   * Every dataset gets a status record while loading, so a failed or cut-off
+   * fetch is reported instead of looking like a wallet with less history.
+   */
+  const DATASET_LABELS = {
+    positions: 'Active positions',
+    closedPositions: 'Closed positions',
+    trades: 'Trade history',
+    activity: 'Activity history',
+    leaderboard: 'Leaderboard rank',
+    value: 'Portfolio value',
+  };
+
+  function createLoadStatus() {
+    const status = {};
+    Object.keys(DATASET_LABELS).forEach(key => {
+      status[key] = { pages: 0, rows: 0, retries: 0, errors: [], partial: false, failed: false, truncated: false, stale: false };
+    });
+    return status;
+  }
+
+  /** True when a dataset is missing rows (a stale cached copy is still whole). */
+  function isIncomplete(st) {
+    return !!st && (st.partial || st.failed || st.truncated);
+  }
+
+  /** Short reason for the notice banner: "HTTP 429" or the network error. */
+  function describeError(err) {
+    return err.status ? 'HTTP ' + err.status : (err.message || 'network error');
+  }
+
+  /** Single-request counterpart to fetchAllPages that fills in a status record. */
+  async function fetchTracked(path, status, signal) {
+    try {
+      const data = await fetchJSON(path, { status, signal });
+      status.pages++;
+      status.rows = (unwrapArray(data) || [data]).length;
+      return data;
+    } catch (err) {
+      if (signal && signal.aborted) throw err;
+      status.errors.push(describeError(err));
+      status.failed = true;
+      throw err;
+    }
   }
 
   /**
@@ -167,203 +439,1665 @@
   /**
    * Paginate through an endpoint using its documented limits.
    *
-   * @param {string} basePath  — e.g. '/closed-positions?'
-   * @param {string} address   — 0x-prefixed wallet
-   * @param {object} config    — { limit, maxOffset } from ENDPOINT_CONFIG
+   * Newest rows come first. When a `windowed` endpoint hits its offset cap,
+   * the walk continues backward with `end` set to the oldest timestamp seen
+   * so far; rows on that boundary second are fetched twice and de-duplicated.
+   * If the history cannot be completed, `status.truncated` is set; a request
+   * that still fails after retries ends the walk and marks the status
+   * `failed` (nothing fetched) or `partial` (some pages fetched).
+   *
+   * @param {string} basePath        — e.g. '/closed-positions?'
+   * @param {string} address         — 0x-prefixed wallet
+   * @param {object} config          — { limit, maxOffset, windowed } from ENDPOINT_CONFIG
+   * @param {object} [opts]
+   * @param {number} [opts.sinceTs]  — only keep rows at or after this unix time (seconds)
+   * @param {object} [opts.status]   — a record from createLoadStatus()
+   * @param {AbortSignal} [opts.signal] — stops paging; rows so far are returned
    */
-  async function fetchAllPages(basePath, address, config) {
-    const { limit, maxOffset } = config;
+  async function fetchAllPages(basePath, address, config, opts = {}) {
+    const { limit, maxOffset, windowed } = config;
+    const { sinceTs = null, status = createLoadStatus().positions, signal } = opts;
     const sep = basePath.includes('?') ? '&' : '?';
     let all = [];
-    let offset = 0;
+    let end = null;
+    let windows = 0;
+
+    for (;;) {
+      let offset = 0;
+      let oldest = null;
+      let done = false;
+      let windowRows = [];
+
+      while (offset <= maxOffset) {
+        const windowParam = end !== null ? `&end=${end}` : '';
+        const path = `${basePath}user=${address}${sep}limit=${limit}&offset=${offset}${windowParam}`;
+        let raw;
+        try {
+          raw = await fetchJSON(path, { status, signal });
+        } catch (err) {
+          if (signal && signal.aborted) { done = true; break; }
+          status.errors.push(describeError(err));
+          if (status.pages) status.partial = true;
+          else status.failed = true;
+          done = true;
+          break;
+        }
 
-    while (offset <= maxOffset) {
-      const path = `${basePath}user=${address}${sep}limit=${limit}&offset=${offset}`;
-      let raw;
-      try {
-        raw = await fetchJSON(path);
-      } catch (_) {
+        const batch = unwrapArray(raw);
+        if (!batch) {
+          status.errors.push('unexpected response');
+          status.partial = true;
+          done = true;
+          break;
+        }
+        status.pages++;
+
+        for (const r of batch) {
+          const ts = Number(r.timestamp || 0);
+          if (ts && (oldest === null || ts < oldest)) oldest = ts;
+        }
+
+        /* Incremental mode: stop at the first page that reaches known history */
+        if (sinceTs !== null) {
+          const fresh = batch.filter(r => Number(r.timestamp || 0) >= sinceTs);
+          windowRows = windowRows.concat(fresh);
+          if (fresh.length < batch.length) { done = true; break; }
+        } else {
+          windowRows = windowRows.concat(batch);
+        }
+
+        /* Stop if this page returned fewer than the limit — no more data */
+        if (batch.length < limit) { done = true; break; }
+
+        offset += limit;
+      }
+
+      /* Each window re-fetches the boundary second of the one before it */
+      all = windows ? mergeEvents(all, windowRows) : windowRows;
+      if (done) break;
+
+      /* Offset cap reached with more rows pending — step back one window */
+      const stuck = oldest === null || (end !== null && oldest >= end);
+      if (!windowed || stuck || ++windows > MAX_WINDOWS) {
+        status.truncated = true;
         break;
       }
+      end = oldest;
+    }
+
+    status.rows = all.length;
+    return all;
+  }
+
+  /** Latest `timestamp` in a list of trades/activity, or null if empty. */
+  function latestTimestamp(rows) {
+    let max = null;
+    for (const r of rows || []) {
+      const ts = Number(r.timestamp || 0);
+      if (ts && (max === null || ts > max)) max = ts;
+    }
+    return max;
+  }
+
+  /**
+   * Identity of a trade/activity row across fetches. The transaction hash
+   * and log index keep separate fills with identical fields apart.
+   */
+  function eventKey(ev) {
+    return [ev.transactionHash, ev.logIndex, ev.asset, ev.type || 'TRADE', ev.side, ev.size, ev.price, ev.timestamp].join('|');
+  }
+
+  /**
+   * Merge freshly fetched trades/activity into cached rows, dropping the
+   * overlap at the boundary timestamp. Identical rows within one side are
+   * separate fills, so each key is kept as many times as the side that has
+   * it most often. Result is newest first, like the API.
+   */
+  function mergeEvents(cached, fresh) {
+    const overlap = new Map();
+    cached.forEach(ev => {
+      const key = eventKey(ev);
+      overlap.set(key, (overlap.get(key) || 0) + 1);
+    });
+    const added = fresh.filter(ev => {
+      const key = eventKey(ev);
+      const left = overlap.get(key) || 0;
+      if (!left) return true;
+      overlap.set(key, left - 1);
+      return false;
+    });
+    return added.concat(cached).sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
+  }
 
-      const batch = unwrapArray(raw);
-      if (!batch) break;
+  /* ---------- LOCAL CACHE (IndexedDB) ---------- */
+  /*
+   * One record per wallet (and data source), holding the last full dataset.
+   * Repeat lookups render from it instantly, then top it up incrementally.
+   */
+  const CACHE_DB = 'polyfolio-cache';
+  const CACHE_STORE = 'wallets';
+  let cacheDbPromise = null;
+
+  function openCacheDB() {
+    if (!cacheDbPromise) {
+      cacheDbPromise = new Promise((resolve, reject) => {
+        if (!window.indexedDB) { reject(new Error('IndexedDB unavailable')); return; }
+        const req = indexedDB.open(CACHE_DB, 1);
+        req.onupgradeneeded = () => req.result.createObjectStore(CACHE_STORE, { keyPath: 'key' });
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      });
+    }
+    return cacheDbPromise;
+  }
 
-      all = all.concat(batch);
+  function cacheKey(address) {
+    return dataSource.base + '|' + address.toLowerCase();
+  }
 
-      /* Stop if this page returned fewer than the limit — no more data */
-      if (batch.length < limit) break;
+  function cacheRequest(mode, fn) {
+    return openCacheDB().then(db => new Promise((resolve, reject) => {
+      const req = fn(db.transaction(CACHE_STORE, mode).objectStore(CACHE_STORE));
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    }));
+  }
 
-      offset += limit;
+  /** Cached record for a wallet, or null. Recordings are never cached. */
+  async function readWalletCache(address) {
+    if (dataSource.mode === 'fixtures') return null;
+    try {
+      return (await cacheRequest('readonly', store => store.get(cacheKey(address)))) || null;
+    } catch (_) {
+      return null;
     }
+  }
 
-    return all;
+  async function writeWalletCache(address, data) {
+    if (dataSource.mode === 'fixtures') return;
+    const { positions, closedPositions, trades, activity, leaderboard, quickValue } = data;
+    const loadStatus = data.walletStatus[address];
+    const truncated = { trades: loadStatus.trades.truncated, activity: loadStatus.activity.truncated };
+    const record = {
+      key: cacheKey(address),
+      address,
+      savedAt: Date.now(),
+      data: { positions, closedPositions, trades, activity, leaderboard, quickValue, truncated },
+    };
+    try {
+      await cacheRequest('readwrite', store => store.put(record));
+    } catch (err) {
+      console.warn('Cache write failed', err);
+    }
   }
 
   let lastData = null;
 
-  /* ---------- METRICS ---------- */
-  function computeMetrics(data) {
-    const { positions, closedPositions, leaderboard } = data;
+  /* ---------- WALLETS ---------- */
+  /*
+   * A dashboard shows one or more wallets. Every row carries `sourceWallet`,
+   * so the merged dataset can be split back per wallet for the breakdown
+   * table, the wallet filter and the cache.
+   */
+  const MAX_WALLETS = 10;
+  const GROUPS_KEY = 'polyfolio-groups';
+  const SCENARIOS_KEY = 'polyfolio-scenarios';
+  let currentWallets = [];
+  let walletFilter = null; /* null = all wallets, else array of addresses shown */
+
+  function isMultiWallet() {
+    return currentWallets.length > 1;
+  }
 
-    const totalValue = positions.reduce((s, p) => s + Number(p.currentValue || 0), 0);
-    const unrealizedPnl = positions.reduce((s, p) => s + Number(p.cashPnl || 0), 0);
-    const realizedPnl = closedPositions.reduce((s, p) => s + Number(p.realizedPnl || 0), 0);
+  function walletTag(address) {
+    return address ? address.slice(0, 6) + '\u2026' + address.slice(-4) : '';
+  }
 
-    const closedWithPnl = closedPositions.filter(p => Number(p.realizedPnl) !== 0);
-    const wins = closedWithPnl.filter(p => Number(p.realizedPnl) > 0).length;
-    const winRate = closedWithPnl.length > 0 ? wins / closedWithPnl.length : 0;
+  function walletColor(address) {
+    const i = currentWallets.indexOf(address);
+    return CHART_COLORS[(i < 0 ? 0 : i) % CHART_COLORS.length];
+  }
 
-    const totalPnl = unrealizedPnl + realizedPnl;
-    const costBasis = totalValue - unrealizedPnl;
-    const returnPct = costBasis > 0 ? totalPnl / costBasis : 0;
+  /** Parse a comma/space separated list of addresses ("0x" optional). */
+  function parseAddressList(raw) {
+    const seen = new Set();
+    const list = [];
+    (raw || '').split(/[\s,;]+/).filter(Boolean).forEach(part => {
+      const addr = part.startsWith('0x') ? part : '0x' + part;
+      const key = addr.toLowerCase();
+      if (seen.has(key)) return;
+      seen.add(key);
+      list.push(addr);
+    });
+    return list;
+  }
 
-    const rank = leaderboard && leaderboard[0] ? leaderboard[0].rank : null;
+  function isValidWalletList(list) {
+    return list.length > 0 && list.length <= MAX_WALLETS && list.every(a => ADDR_RE.test(a));
+  }
 
+  /** Subset of a dataset belonging to the given wallets. */
+  function filterByWallets(data, addresses) {
+    const keep = new Set(addresses);
+    const pick = rows => (rows || []).filter(r => keep.has(r.sourceWallet));
+    const walletStatus = {};
+    addresses.forEach(a => { if (data.walletStatus && data.walletStatus[a]) walletStatus[a] = data.walletStatus[a]; });
     return {
-      rank,
-      totalValue,
-      unrealizedPnl,
-      realizedPnl,
-      returnPct,
-      winRate,
-      activeCount: positions.length,
-      closedCount: closedPositions.length,
+      ...data,
+      positions: pick(data.positions),
+      closedPositions: pick(data.closedPositions),
+      trades: pick(data.trades),
+      activity: pick(data.activity),
+      leaderboard: pick(data.leaderboard),
+      quickValue: Array.isArray(data.quickValue) ? pick(data.quickValue) : data.quickValue,
+      walletStatus,
     };
   }
 
-  function renderMetrics(m) {
-    const rk = $('#m-rank');
-    rk.textContent = m.rank ? '#' + Number(m.rank).toLocaleString() : '—';
-
-    const tv = $('#m-total-value');
-    const up = $('#m-unrealized-pnl');
-    const rp = $('#m-realized-pnl');
-    const ret = $('#m-return-pct');
-    const wr = $('#m-win-rate');
-    const ac = $('#m-active');
-    const cl = $('#m-closed');
-
-    tv.textContent = formatUSD(m.totalValue);
-    up.textContent = formatUSD(m.unrealizedPnl);
-    up.className = 'metric-value ' + metricClass(m.unrealizedPnl);
-    rp.textContent = formatUSD(m.realizedPnl);
-    rp.className = 'metric-value ' + metricClass(m.realizedPnl);
-    const retVal = (m.returnPct * 100).toFixed(1) + '%';
-    ret.textContent = (m.returnPct >= 0 ? '+' : '') + retVal;
-    ret.className = 'metric-value ' + metricClass(m.returnPct);
-    wr.textContent = (m.winRate * 100).toFixed(1) + '%';
-    ac.textContent = m.activeCount;
-    cl.textContent = m.closedCount;
+  /** What the dashboard and exports show: lastData narrowed by the wallet filter. */
+  function getViewData() {
+    if (!lastData) return null;
+    if (!walletFilter || walletFilter.length === currentWallets.length) return applyAsOf(lastData);
+    return applyAsOf(filterByWallets(lastData, walletFilter));
   }
 
-  /* ---------- PDF EXPORT ---------- */
-  function generatePDF() {
-    if (!lastData) return;
-    if (!window.jspdf) { alert('PDF library failed to load. Please refresh and try again.'); return; }
-    gtag('event', 'pdf_download');
-    const { jsPDF } = window.jspdf;
-    const doc = new jsPDF({ orientation: 'portrait', unit: 'mm', format: 'a4' });
-    const pw = doc.internal.pageSize.getWidth();
-    const margin = 14;
-    const colW = pw - margin * 2;
-    let y = 18;
+  /** Per-dataset status combined across the wallets in `data`. */
+  function combinedLoadStatus(data) {
+    const combined = createLoadStatus();
+    Object.values((data && data.walletStatus) || {}).forEach(status => {
+      Object.keys(combined).forEach(key => {
+        const c = combined[key];
+        const st = status[key];
+        c.pages += st.pages;
+        c.rows += st.rows;
+        c.retries += st.retries;
+        c.errors = c.errors.concat(st.errors);
+        ['partial', 'failed', 'truncated', 'stale'].forEach(flag => { c[flag] = c[flag] || st[flag]; });
+      });
+    });
+    return combined;
+  }
 
-    function checkPage(needed) {
-      if (y + needed > 280) { doc.addPage(); y = 18; }
+  function renderWalletHeader() {
+    dashboard.classList.toggle('multi-wallet', isMultiWallet());
+    if (isMultiWallet()) {
+      dashAddr.textContent = currentWallets.length + ' wallets';
+      dashAddr.removeAttribute('href');
+      dashAddr.title = currentWallets.join('\n');
+    } else {
+      const address = currentWallets[0];
+      dashAddr.textContent = address;
+      dashAddr.href = `https://polymarket.com/@${address}`;
+      dashAddr.title = '';
     }
+    $('#save-group-btn').classList.toggle('hidden', !isMultiWallet());
+    $('#compare-btn').classList.toggle('hidden', isMultiWallet());
+  }
 
-    /* --- Title --- */
-    doc.setFontSize(18);
-    doc.setFont('helvetica', 'bold');
-    doc.text('Polyfolio Report', margin, y);
-    y += 7;
-    doc.setFontSize(9);
-    doc.setFont('helvetica', 'normal');
-    doc.setTextColor(120);
-    const addr = dashAddr.textContent || '';
-    const now = new Date();
-    const dateStr = now.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' });
-    const timeStr = now.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
-    doc.text(addr + '  |  ' + dateStr + ' at ' + timeStr, margin, y);
-    doc.setTextColor(0);
-    y += 10;
+  /** Header text for exports: the address, or the list of grouped wallets. */
+  function walletsLabel() {
+    return isMultiWallet() ? currentWallets.length + ' wallets: ' + currentWallets.map(walletTag).join(', ') : (currentWallets[0] || '');
+  }
 
-    /* --- Metrics --- */
-    const m = computeMetrics(lastData);
-    const retVal = (m.returnPct >= 0 ? '+' : '') + (m.returnPct * 100).toFixed(1) + '%';
-    const rankStr = m.rank ? '#' + Number(m.rank).toLocaleString() : '—';
-    const metrics = [
-      ['Portfolio Value', formatUSD(m.totalValue)],
-      ['Return %', retVal],
-      ['Win Rate', (m.winRate * 100).toFixed(1) + '%'],
-      ['Realized PnL', formatUSD(m.realizedPnl)],
-      ['Unrealized PnL', formatUSD(m.unrealizedPnl)],
-      ['Leaderboard Rank', rankStr],
-      ['Active Positions', String(m.activeCount)],
-      ['Closed Positions', String(m.closedCount)],
-    ];
+  function exportBaseName() {
+    const asOf = asOfMs == null ? '' : '-asof-' + new Date(asOfMs).toISOString().slice(0, 10);
+    const bounds = dateRangeBounds();
+    const range = !bounds ? '' : '-' + (dateRange.preset === 'custom'
+      ? (dateRange.from || 'start') + '-to-' + (dateRange.to || 'now')
+      : dateRange.preset);
+    return 'polyfolio-' + (isMultiWallet() ? 'group' : (currentWallets[0] || 'report').slice(0, 10)) + asOf + range;
+  }
 
-    doc.setFontSize(12);
-    doc.setFont('helvetica', 'bold');
-    doc.text('Summary', margin, y);
-    y += 6;
+  /** Wallet filter chips (multi-wallet only). */
+  function renderWalletControls() {
+    const bar = $('#wallet-filters');
+    if (!isMultiWallet()) {
+      bar.classList.add('hidden');
+      bar.innerHTML = '';
+      return;
+    }
+    const shown = walletFilter || currentWallets;
+    let html = '<span class="sort-label">Wallets:</span>';
+    currentWallets.forEach(address => {
+      const active = shown.includes(address) ? ' active' : '';
+      html += '<button class="tl-filter-btn wallet-chip' + active + '" data-wallet="' + escapeHTML(address) + '" title="' + escapeHTML(address) + '">' +
+        '<span class="wallet-swatch" style="background:' + walletColor(address) + '"></span>' + escapeHTML(walletTag(address)) + '</button>';
+    });
+    bar.innerHTML = html;
+    bar.classList.remove('hidden');
 
-    doc.setFontSize(9);
-    const mColW = colW / 4;
-    metrics.forEach((pair, i) => {
-      const col = i % 4;
-      const x = margin + col * mColW;
-      if (i > 0 && col === 0) y += 12;
-      doc.setFont('helvetica', 'normal');
-      doc.setTextColor(120);
-      doc.text(pair[0], x, y);
-      doc.setTextColor(0);
-      doc.setFont('helvetica', 'bold');
-      doc.text(pair[1], x, y + 4.5);
+    bar.querySelectorAll('.wallet-chip').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const address = btn.dataset.wallet;
+        const current = walletFilter || currentWallets.slice();
+        const next = current.includes(address) ? current.filter(a => a !== address) : currentWallets.filter(a => a === address || current.includes(a));
+        if (!next.length) return; /* keep at least one wallet selected */
+        walletFilter = next.length === currentWallets.length ? null : next;
+        gtag('event', 'wallet_filter', { wallets: next.length });
+        renderWalletControls();
+        renderDashboard(getViewData());
+      });
     });
-    y += 18;
+  }
 
-    /* --- Allocation Chart + Legend --- */
-    const chartCanvas = $('#chart-alloc-position');
-    const allocChart = chartInstances[0];
-    if (chartCanvas && allocChart) {
-      const allocLabels = allocChart.data.labels || [];
-      const allocValues = allocChart.data.datasets[0].data || [];
-      const allocColors = allocChart.data.datasets[0].backgroundColor || [];
-      const allocTotal = allocValues.reduce((s, v) => s + v, 0);
-      const legendLineH = 5;
-      const chartSize = 60;
-      const legendH = allocLabels.length * legendLineH;
-      const sectionH = Math.max(chartSize, legendH) + 10;
+  /** Per-wallet breakdown table (multi-wallet only). */
+  function renderWalletBreakdown() {
+    const section = $('#wallets-section');
+    if (!isMultiWallet() || !lastData) {
+      section.classList.add('hidden');
+      return;
+    }
+    section.classList.remove('hidden');
+    const shown = walletFilter || currentWallets;
+    $('#wallets-tbody').innerHTML = currentWallets.map(address => {
+      const m = computeMetrics(applyAsOf(filterByWallets(lastData, [address])));
+      const dim = shown.includes(address) ? '' : ' class="row-dim"';
+      return `<tr${dim}>
+        <td class="td-wallet" title="${escapeHTML(address)}"><span class="wallet-swatch" style="background:${walletColor(address)}"></span><a href="https://polymarket.com/@${escapeHTML(address)}" target="_blank" rel="noopener">${escapeHTML(walletTag(address))}</a></td>
+        <td class="td-num">${formatUSD(m.totalValue)}</td>
+        <td class="td-num ${pnlClass(m.realizedPnl)}">${formatUSD(m.realizedPnl)}</td>
+        <td class="td-num ${pnlClass(m.unrealizedPnl)}">${formatUSD(m.unrealizedPnl)}</td>
+        <td class="td-num ${pnlClass(m.returnPct)}">${formatReturn(m.returnPct)}</td>
+        <td class="td-num">${(m.winRate * 100).toFixed(1)}%</td>
+        <td class="td-num">${m.activeCount}</td>
+        <td class="td-num">${m.closedCount}</td>
+        <td class="td-num">${m.rank ? '#' + Number(m.rank).toLocaleString() : '\u2014'}</td>
+      </tr>`;
+    }).join('');
+  }
 
-      checkPage(sectionH + 10);
-      doc.setFontSize(12);
-      doc.setFont('helvetica', 'bold');
-      doc.setTextColor(0);
-      const allocTitle = 'Allocation by Position' + (allocMode === 'cost' ? ' (Cost Basis)' : ' (Current Value)');
-      doc.text(allocTitle, margin, y);
-      y += 4;
+  /* ---------- AS-OF REPLAY ---------- */
+  /* End of the chosen day (ms) while viewing a past date; null when live */
+  let asOfMs = null;
 
-      const chartY = y;
-      try {
-        const imgData = chartCanvas.toDataURL('image/png');
-        doc.addImage(imgData, 'PNG', margin, y, chartSize, chartSize);
-      } catch (_) {}
+  function applyAsOf(data) {
+    return asOfMs == null ? data : reconstructPortfolio(data, asOfMs);
+  }
 
-      /* Legend to the right of chart */
-      const legendX = margin + chartSize + 8;
-      const legendW = colW - chartSize - 8;
-      let ly = chartY + 2;
-      doc.setFontSize(6.5);
-      allocLabels.forEach((lbl, i) => {
-        if (!allocChart.getDataVisibility(i)) return;
-        const color = allocColors[i] || '#999';
-        const r = parseInt(color.slice(1, 3), 16);
-        const g = parseInt(color.slice(3, 5), 16);
-        const b = parseInt(color.slice(5, 7), 16);
-        doc.setFillColor(r, g, b);
-        doc.rect(legendX, ly - 2.5, 3, 3, 'F');
+  /** Metadata fields copied from API positions onto rebuilt rows. */
+  const POSITION_META = ['title', 'slug', 'eventSlug', 'icon', 'outcome', 'outcomeIndex', 'oppositeOutcome', 'conditionId', 'endDate', 'proxyWallet'];
+
+  function pickMeta(src) {
+    const meta = {};
+    POSITION_META.forEach(k => { if (src && src[k] != null) meta[k] = src[k]; });
+    return meta;
+  }
+
+  /**
+   * Fills and position-changing activity up to `cutoff` (ms) in time
+   * order, plus what a replay needs to interpret them: token metadata,
+   * the outcome tokens of every condition and known resolution prices.
+   */
+  function replayEvents(data, cutoff) {
+    const before = ev => toMs(ev.timestamp) <= cutoff;
+    const activity = (data.activity || []).filter(before);
+
+    /* Activity lists maker fills too; fall back to /trades if it has none */
+    const activityHasFills = (data.activity || []).some(ev => ev.type === 'TRADE');
+    const fills = activityHasFills ? activity.filter(ev => ev.type === 'TRADE') : (data.trades || []).filter(before);
+    const events = fills.map(ev => ({ ev, kind: 'TRADE' }))
+      .concat(activity.filter(ev => ev.type !== 'TRADE').map(ev => ({ ev, kind: ev.type })))
+      .sort((a, b) => toMs(a.ev.timestamp) - toMs(b.ev.timestamp));
+
+    /* Market metadata and outcome tokens per condition, from everything loaded */
+    const meta = {};
+    const conditionAssets = {};
+    const noteAsset = (row) => {
+      if (!row.asset) return;
+      const key = row.sourceWallet + '|' + row.asset;
+      meta[key] = Object.assign(pickMeta(row), meta[key] || {});
+      if (row.conditionId) {
+        const cKey = row.sourceWallet + '|' + row.conditionId;
+        conditionAssets[cKey] = conditionAssets[cKey] || new Set();
+        conditionAssets[cKey].add(row.asset);
+      }
+    };
+    (data.positions || []).concat(data.closedPositions || []).forEach(noteAsset);
+    (data.trades || []).concat((data.activity || []).filter(ev => ev.type === 'TRADE')).forEach(noteAsset);
+
+    /* Resolution price per token, when the API already reports it */
+    const settled = {};
+    (data.closedPositions || []).forEach(p => {
+      const price = Number(p.curPrice);
+      if (p.asset && (price === 0 || price === 1)) settled[p.sourceWallet + '|' + p.asset] = price;
+    });
+
+    return { events, meta, conditionAssets, settled };
+  }
+
+  /**
+   * Replay fills and activity up to `cutoff` (ms) in time order with
+   * average-cost accounting, one book per wallet and outcome token. Splits
+   * add shares of each outcome; sells, merges, conversions and redeems pay
+   * them out. `onStep(ev, kind, books)` runs after every event and
+   * `beforeStep(ev, kind, books)` before it. Returns the books still open,
+   * the positions closed along the way and token metadata.
+   */
+  function replayBooks(data, cutoff, onStep, beforeStep) {
+    const { events, meta, conditionAssets, settled } = replayEvents(data, cutoff);
+    const books = {};
+    const closedPositions = [];
+    const bookFor = (wallet, asset) => {
+      const key = wallet + '|' + asset;
+      if (!books[key]) books[key] = { key, wallet, asset, shares: 0, cost: 0, bought: 0, boughtCost: 0, realized: 0, lastPrice: null };
+      return books[key];
+    };
+    const buy = (book, shares, price) => {
+      book.shares += shares;
+      book.cost += shares * price;
+      book.bought += shares;
+      book.boughtCost += shares * price;
+    };
+    const sell = (book, shares, price, ev) => {
+      const qty = Math.min(shares, book.shares);
+      if (qty <= 0) return;
+      const avg = book.cost / book.shares;
+      book.realized += qty * (price - avg);
+      book.cost -= qty * avg;
+      book.shares -= qty;
+      if (book.shares < 1e-6) closeBook(book, ev);
+    };
+    const closeBook = (book, ev) => {
+      closedPositions.push({
+        ...meta[book.key],
+        asset: book.asset,
+        sourceWallet: book.wallet,
+        avgPrice: book.bought ? book.boughtCost / book.bought : 0,
+        totalBought: book.bought,
+        realizedPnl: book.realized,
+        curPrice: book.lastPrice == null ? 0 : book.lastPrice,
+        timestamp: ev.timestamp,
+      });
+      delete books[book.key];
+    };
+    /* Every outcome book of the event's market; only splits open new ones */
+    const conditionBooks = (ev, open) => [...(conditionAssets[ev.sourceWallet + '|' + ev.conditionId] || [])]
+      .map(asset => open ? bookFor(ev.sourceWallet, asset) : books[ev.sourceWallet + '|' + asset])
+      .filter(Boolean);
+
+    events.forEach(({ ev, kind }) => {
+      if (beforeStep) beforeStep(ev, kind, books);
+      const size = Number(ev.size || 0);
+      const usdc = Number(ev.usdcSize || 0);
+      if (kind === 'TRADE') {
+        if (ev.asset && size) {
+          const book = bookFor(ev.sourceWallet, ev.asset);
+          const price = Number(ev.price || 0);
+          book.lastPrice = price;
+          if (ev.side === 'BUY') buy(book, size, price);
+          else sell(book, size, price, ev);
+        }
+      } else if (kind === 'SPLIT') {
+        /* $1 of collateral becomes one share of every outcome */
+        const outcomes = conditionBooks(ev, true);
+        outcomes.forEach(book => buy(book, size, usdc / size / Math.max(outcomes.length, 2) || 0));
+      } else if (kind === 'MERGE') {
+        const outcomes = conditionBooks(ev, false);
+        outcomes.forEach(book => sell(book, size, usdc / size / Math.max(outcomes.length, 2) || 0, ev));
+      } else if (kind === 'CONVERSION') {
+        const book = books[ev.sourceWallet + '|' + ev.asset];
+        if (book && size) sell(book, size, usdc / size, ev);
+      } else if (kind === 'REDEEM') {
+        const held = conditionBooks(ev, false).filter(book => book.shares > 0);
+        const heldShares = held.reduce((sum, book) => sum + book.shares, 0);
+        held.forEach(book => {
+          const known = settled[book.key];
+          const price = known != null ? known : (heldShares ? usdc / heldShares : 0);
+          book.lastPrice = price;
+          sell(book, book.shares, price, ev);
+        });
+      }
+      if (onStep) onStep(ev, kind, books);
+    });
+
+    return { books, closedPositions, meta };
+  }
+
+  /** Mark-to-market value of open books at their last traded price. */
+  function booksValue(books) {
+    return Object.values(books).reduce((sum, book) =>
+      sum + book.shares * (book.lastPrice == null ? book.cost / book.shares : book.lastPrice), 0);
+  }
+
+  /**
+   * Rebuild holdings as they stood at `cutoff` (ms). Open positions are
+   * marked at the last price the wallet traded that outcome at, since the
+   * API has no historical quotes. Returns a dataset shaped like `lastData`.
+   */
+  function reconstructPortfolio(data, cutoff) {
+    const { books, closedPositions, meta } = replayBooks(data, cutoff);
+    const before = ev => toMs(ev.timestamp) <= cutoff;
+
+    const positions = Object.values(books).filter(book => book.shares > 1e-6).map(book => {
+      const curPrice = book.lastPrice == null ? book.cost / book.shares : book.lastPrice;
+      const currentValue = book.shares * curPrice;
+      const cashPnl = currentValue - book.cost;
+      return {
+        ...meta[book.key],
+        asset: book.asset,
+        sourceWallet: book.wallet,
+        size: book.shares,
+        avgPrice: book.cost / book.shares,
+        initialValue: book.cost,
+        curPrice,
+        currentValue,
+        cashPnl,
+        percentPnl: book.cost > 0 ? cashPnl / book.cost * 100 : 0,
+        totalBought: book.bought,
+        realizedPnl: book.realized,
+      };
+    });
+
+    return {
+      ...data,
+      positions,
+      closedPositions,
+      trades: (data.trades || []).filter(before),
+      activity: (data.activity || []).filter(before),
+      leaderboard: [],
+      quickValue: [],
+      asOf: cutoff,
+    };
+  }
+
+  /** "As of Mar 3, 2025" for headers and exports; '' when live. */
+  function asOfLabel() {
+    return asOfMs == null ? '' : 'As of ' + formatDate(asOfMs);
+  }
+
+  function renderAsOfControls({ ready = true } = {}) {
+    const input = $('#asof-input');
+    input.disabled = !ready || !lastData;
+    input.max = new Date().toISOString().slice(0, 10);
+    /* A loop, not Math.min(...rows): spreading a long history overflows the call stack */
+    let first = Infinity;
+    if (lastData) {
+      (lastData.activity || []).concat(lastData.trades || []).forEach(ev => {
+        const ms = toMs(ev.timestamp);
+        if (ms < first) first = ms;
+      });
+    }
+    input.min = isFinite(first) ? new Date(first).toISOString().slice(0, 10) : '';
+    if (asOfMs == null) input.value = '';
+    dashboard.classList.toggle('historical', asOfMs != null);
+    const banner = $('#asof-banner');
+    banner.classList.toggle('hidden', asOfMs == null);
+    $('#asof-banner-date').textContent = asOfMs == null ? '' : formatDate(asOfMs);
+  }
+
+  /** Switch every panel to the portfolio at the end of `day` (YYYY-MM-DD), or back to live. */
+  function setAsOf(day) {
+    const ms = day ? new Date(day + 'T23:59:59.999').getTime() : NaN;
+    asOfMs = isNaN(ms) || ms >= Date.now() ? null : ms;
+    gtag('event', 'as_of_change', { live: asOfMs == null });
+    renderAsOfControls();
+    if (lastData) renderDashboard(getViewData());
+  }
+
+  /* ---------- DATE RANGE ---------- */
+  /*
+   * Global window for the timeline, volume chart, closed positions,
+   * winners/losers and realized metrics. Open positions and replay-based
+   * panels keep the full history, which they need to be correct.
+   */
+  const DATE_RANGE_PRESETS = {
+    all: 'All time',
+    '7d': 'Last 7 days',
+    '30d': 'Last 30 days',
+    ytd: 'Year to date',
+    custom: 'Custom',
+  };
+  let dateRange = { preset: 'all', from: '', to: '' };
+
+  /** { start, end } in ms for the current range, or null for all time. */
+  function dateRangeBounds() {
+    const now = asOfMs != null ? asOfMs : Date.now();
+    const { preset, from, to } = dateRange;
+    if (preset === '7d' || preset === '30d') return { start: now - parseInt(preset, 10) * 86400000, end: now };
+    if (preset === 'ytd') return { start: new Date(new Date(now).getFullYear(), 0, 1).getTime(), end: now };
+    if (preset === 'custom' && (from || to)) {
+      return {
+        start: from ? new Date(from + 'T00:00:00').getTime() : -Infinity,
+        end: to ? new Date(to + 'T23:59:59.999').getTime() : Infinity,
+      };
+    }
+    return null;
+  }
+
+  /** Rows whose timestamp falls inside the date range. */
+  function inDateRange(rows) {
+    const bounds = dateRangeBounds();
+    if (!bounds || !rows) return rows || [];
+    return rows.filter(row => {
+      const ms = toMs(row.timestamp);
+      return ms >= bounds.start && ms <= bounds.end;
+    });
+  }
+
+  /** "Last 30 days", "Jan 1, 2025 – Mar 31, 2025"; '' for all time. */
+  function dateRangeLabel() {
+    if (!dateRangeBounds()) return '';
+    if (dateRange.preset !== 'custom') return DATE_RANGE_PRESETS[dateRange.preset];
+    const day = d => d ? formatDate(d + 'T00:00:00') : '…';
+    return day(dateRange.from) + ' – ' + day(dateRange.to);
+  }
+
+  /** Hash query for the range: "?range=30d", "?from=…&to=…" or ''. */
+  function dateRangeQuery() {
+    const { preset, from, to } = dateRange;
+    if (preset === 'custom') {
+      const params = new URLSearchParams();
+      if (from) params.set('from', from);
+      if (to) params.set('to', to);
+      return params.toString() ? '?' + params : '';
+    }
+    return preset === 'all' ? '' : '?range=' + preset;
+  }
+
+  function parseDateRange(query) {
+    const params = new URLSearchParams(query);
+    const isDay = v => /^\d{4}-\d{2}-\d{2}$/.test(v || '');
+    if (isDay(params.get('from')) || isDay(params.get('to'))) {
+      return {
+        preset: 'custom',
+        from: isDay(params.get('from')) ? params.get('from') : '',
+        to: isDay(params.get('to')) ? params.get('to') : '',
+      };
+    }
+    const preset = params.get('range');
+    return { preset: DATE_RANGE_PRESETS[preset] && preset !== 'custom' ? preset : 'all', from: '', to: '' };
+  }
+
+  /** Sync the range control; it stays disabled until a load has finished, like the as-of input. */
+  function renderDateRangeControls({ ready = true } = {}) {
+    const select = $('#range-select');
+    [select, $('#range-from'), $('#range-to')].forEach(el => { el.disabled = !ready || !lastData; });
+    select.value = dateRange.preset;
+    const custom = dateRange.preset === 'custom';
+    $('#range-custom').classList.toggle('hidden', !custom);
+    $('#range-from').value = dateRange.from;
+    $('#range-to').value = dateRange.to;
+    $('.range-control').classList.toggle('active', !!dateRangeBounds());
+    select.title = dateRangeBounds()
+      ? 'Showing ' + dateRangeLabel() + ' for the timeline, volume, closed positions, winners/losers and realized metrics'
+      : 'Limit the timeline, volume, closed positions, winners/losers and realized metrics to a period';
+  }
+
+  /** Apply a new range everywhere and record it in the URL without reloading. */
+  function setDateRange(range) {
+    dateRange = range;
+    gtag('event', 'date_range', { preset: range.preset });
+    history.replaceState(null, '', '#' + currentWallets.join(',') + dateRangeQuery());
+    renderDateRangeControls();
+    /* A load in progress renders the new range itself when it finishes */
+    if (lastData && !analysisController) renderDashboard(getViewData());
+  }
+
+  /* ---------- LOT ENGINE ---------- */
+  /*
+   * Lot-level replay of the same event stream as `replayBooks`. Every buy
+   * or split opens a lot; every sell, merge, conversion or redeem is a
+   * disposal that consumes lots under the chosen method, so partial exits
+   * and re-entries can be audited against the API's avgPrice/realizedPnl.
+   */
+  const LOT_METHOD_KEY = 'polyfolio-lot-method';
+  const LOT_METHODS = {
+    fifo: { label: 'FIFO', name: 'First in, first out' },
+    lifo: { label: 'LIFO', name: 'Last in, first out' },
+    avg: { label: 'Average', name: 'Average cost' },
+  };
+  /* Disagreements smaller than these are rounding, not accounting */
+  const RECONCILE_PRICE_TOLERANCE = 0.005;
+  const RECONCILE_PNL_TOLERANCE = 0.5;
+
+  let lotMethod = (() => {
+    try {
+      const saved = localStorage.getItem(LOT_METHOD_KEY);
+      return LOT_METHODS[saved] ? saved : 'fifo';
+    } catch (_) { return 'fifo'; }
+  })();
+  let lotsPage = 1;
+  let lotsMismatchOnly = true;
+  /* Positions whose disposals and open lots are expanded in the audit table */
+  let lotsExpanded = new Set();
+  /* wallet|asset → reconciliation row, for flagging the positions tables */
+  let reconciliation = new Map();
+
+  /**
+   * Replay every event with lot accounting under `method` (fifo, lifo or
+   * avg). Returns per-token books with their open lots, and every disposal
+   * with the lot slices it consumed ({ shares, cost, acquired }). Shares
+   * sold beyond what the loaded history bought form a final slice with
+   * null cost and acquired date; `shares`, `proceeds`, `cost` and `gain`
+   * cover only the matched part, `unmatched` counts the rest.
+   */
+  function replayLots(data, method, cutoff = Infinity) {
+    const { events, meta, conditionAssets, settled } = replayEvents(data, cutoff);
+    const books = {};
+    const disposals = [];
+
+    const bookFor = (wallet, asset) => {
+      const key = wallet + '|' + asset;
+      if (!books[key]) books[key] = { key, wallet, asset, lots: [], bought: 0, boughtCost: 0, realized: 0 };
+      return books[key];
+    };
+    const heldShares = book => book.lots.reduce((sum, lot) => sum + lot.shares, 0);
+    const acquire = (book, shares, price, ev) => {
+      if (!(shares > 0)) return;
+      book.lots.push({ shares, price, acquired: toMs(ev.timestamp) });
+      book.bought += shares;
+      book.boughtCost += shares * price;
+    };
+    const dispose = (book, shares, price, ev, kind) => {
+      const held = heldShares(book);
+      let qty = Math.min(shares, held);
+      /* Shares bought before the loaded history began: sold, but with unknown basis */
+      const unmatched = shares - qty > 1e-6 ? shares - qty : 0;
+      if (qty <= 1e-9 && !unmatched) return;
+      const slices = [];
+      if (qty <= 1e-9) {
+        /* Nothing held to match against */
+      } else if (method === 'avg') {
+        /* Every lot gives up the same fraction at the pooled average cost */
+        const avg = book.lots.reduce((sum, lot) => sum + lot.shares * lot.price, 0) / held;
+        const fraction = qty / held;
+        book.lots.forEach(lot => {
+          const take = lot.shares * fraction;
+          slices.push({ shares: take, cost: take * avg, acquired: lot.acquired });
+          lot.shares -= take;
+        });
+      } else {
+        const order = method === 'lifo' ? [...book.lots].reverse() : book.lots;
+        for (const lot of order) {
+          if (qty <= 1e-9) break;
+          const take = Math.min(lot.shares, qty);
+          slices.push({ shares: take, cost: take * lot.price, acquired: lot.acquired });
+          lot.shares -= take;
+          qty -= take;
+        }
+      }
+      book.lots = book.lots.filter(lot => lot.shares > 1e-9);
+      const sold = slices.reduce((sum, sl) => sum + sl.shares, 0);
+      const cost = slices.reduce((sum, sl) => sum + sl.cost, 0);
+      const proceeds = sold * price;
+      const acquired = slices.length ? Math.min(...slices.map(sl => sl.acquired)) : null;
+      book.realized += proceeds - cost;
+      if (unmatched) slices.push({ shares: unmatched, cost: null, acquired: null });
+      disposals.push({
+        ...meta[book.key],
+        key: book.key,
+        asset: book.asset,
+        sourceWallet: book.wallet,
+        kind,
+        timestamp: toMs(ev.timestamp),
+        shares: sold,
+        price,
+        proceeds,
+        cost,
+        gain: proceeds - cost,
+        acquired,
+        unmatched,
+        slices,
+      });
+    };
+    const conditionBooks = (ev, open) => [...(conditionAssets[ev.sourceWallet + '|' + ev.conditionId] || [])]
+      .map(asset => open ? bookFor(ev.sourceWallet, asset) : books[ev.sourceWallet + '|' + asset])
+      .filter(Boolean);
+
+    events.forEach(({ ev, kind }) => {
+      const size = Number(ev.size || 0);
+      const usdc = Number(ev.usdcSize || 0);
+      if (kind === 'TRADE') {
+        if (!ev.asset || !size) return;
+        const book = bookFor(ev.sourceWallet, ev.asset);
+        const price = Number(ev.price || 0);
+        if (ev.side === 'BUY') acquire(book, size, price, ev);
+        else dispose(book, size, price, ev, 'SELL');
+      } else if (kind === 'SPLIT') {
+        const outcomes = conditionBooks(ev, true);
+        outcomes.forEach(book => acquire(book, size, usdc / size / Math.max(outcomes.length, 2) || 0, ev));
+      } else if (kind === 'MERGE') {
+        const outcomes = conditionBooks(ev, false);
+        outcomes.forEach(book => dispose(book, size, usdc / size / Math.max(outcomes.length, 2) || 0, ev, kind));
+      } else if (kind === 'CONVERSION') {
+        const book = books[ev.sourceWallet + '|' + ev.asset];
+        if (book && size) dispose(book, size, usdc / size, ev, kind);
+      } else if (kind === 'REDEEM') {
+        const held = conditionBooks(ev, false).filter(book => heldShares(book) > 0);
+        const total = held.reduce((sum, book) => sum + heldShares(book), 0);
+        held.forEach(book => {
+          const known = settled[book.key];
+          dispose(book, heldShares(book), known != null ? known : (total ? usdc / total : 0), ev, kind);
+        });
+      }
+    });
+
+    Object.values(books).forEach(book => { book.shares = heldShares(book); });
+    return { books, disposals, meta };
+  }
+
+  /**
+   * Compare the API's avgPrice and realizedPnl with the lot engine. The
+   * API books at average cost, so both are checked against the average-cost
+   * replay; `methodRealized` is the selected method's figure for reference.
+   */
+  function reconcileLots(data, method) {
+    const averageRun = replayLots(data, 'avg');
+    const chosenRun = method === 'avg' ? averageRun : replayLots(data, method);
+    const average = averageRun.books;
+    const chosen = chosenRun.books;
+    const disposals = new Map();
+    chosenRun.disposals.forEach(d => {
+      if (!disposals.has(d.key)) disposals.set(d.key, []);
+      disposals.get(d.key).push(d);
+    });
+    const rows = [];
+    const seen = new Set();
+    const tagged = (data.positions || []).map(p => [p, 'open'])
+      .concat((data.closedPositions || []).map(p => [p, 'closed']));
+    tagged.forEach(([p, status]) => {
+      const key = (p.sourceWallet || '') + '|' + p.asset;
+      if (!p.asset || seen.has(key)) return;
+      seen.add(key);
+      const book = average[key];
+      const apiAvg = Number(p.avgPrice || 0);
+      const apiRealized = Number(p.realizedPnl || 0);
+      const engineAvg = book && book.bought ? book.boughtCost / book.bought : null;
+      const engineRealized = book ? book.realized : null;
+      const priceDiff = engineAvg == null ? null : engineAvg - apiAvg;
+      const pnlDiff = engineRealized == null ? null : engineRealized - apiRealized;
+      const pnlTolerance = Math.max(RECONCILE_PNL_TOLERANCE, Math.abs(apiRealized) * 0.01);
+      rows.push({
+        position: p,
+        key,
+        status,
+        lots: book ? book.lots.length : 0,
+        apiAvg,
+        engineAvg,
+        apiRealized,
+        engineRealized,
+        methodRealized: chosen[key] ? chosen[key].realized : null,
+        disposals: disposals.get(key) || [],
+        openLots: chosen[key] ? chosen[key].lots : [],
+        pnlDiff,
+        missing: !book,
+        mismatch: !book || Math.abs(priceDiff) > RECONCILE_PRICE_TOLERANCE || Math.abs(pnlDiff) > pnlTolerance,
+      });
+    });
+    return rows;
+  }
+
+  /** Warning marker for positions whose API numbers disagree with the lot replay. */
+  function reconcileBadgeHTML(p) {
+    const row = reconciliation.get((p.sourceWallet || '') + '|' + p.asset);
+    if (!row || !row.mismatch) return '';
+    const why = row.missing
+      ? 'No fills for this position in the loaded history'
+      : `Lot replay disagrees with the API: avg ${(row.engineAvg * 100).toFixed(1)}¢ vs ${(row.apiAvg * 100).toFixed(1)}¢, realized ${formatUSD(row.engineRealized)} vs ${formatUSD(row.apiRealized)}`;
+    return `<span class="reconcile-flag" title="${escapeHTML(why)}">&#9888;</span>`;
+  }
+
+  /** Expanded audit row: every sale by the lots it consumed, then the lots still open. */
+  function lotDetailHTML(row) {
+    const kindLabel = kind => kind === 'SELL' ? 'Sell' : kind.charAt(0) + kind.slice(1).toLowerCase();
+    const sales = row.disposals.flatMap(d => d.slices.map(sl => {
+      const proceeds = sl.shares * d.price;
+      if (sl.cost == null) {
+        return `<tr>
+        <td>${formatDate(d.timestamp)}</td>
+        <td>${kindLabel(d.kind)}</td>
+        <td title="Bought before the loaded history">Unknown</td>
+        <td class="td-num">${sl.shares.toFixed(2)}</td>
+        <td class="td-num">&mdash;</td>
+        <td class="td-num">${formatUSD(proceeds)}</td>
+        <td class="td-num">&mdash;</td>
+      </tr>`;
+      }
+      return `<tr>
+        <td>${formatDate(d.timestamp)}</td>
+        <td>${kindLabel(d.kind)}</td>
+        <td>${formatDate(sl.acquired)}</td>
+        <td class="td-num">${sl.shares.toFixed(2)}</td>
+        <td class="td-num">${formatUSD(sl.cost)}</td>
+        <td class="td-num">${formatUSD(proceeds)}</td>
+        <td class="td-num ${pnlClass(proceeds - sl.cost)}">${formatUSD(proceeds - sl.cost)}</td>
+      </tr>`;
+    })).join('');
+    const open = row.openLots.map(lot => `<tr>
+        <td>Open</td>
+        <td>&mdash;</td>
+        <td>${formatDate(lot.acquired)}</td>
+        <td class="td-num">${lot.shares.toFixed(2)}</td>
+        <td class="td-num">${formatUSD(lot.shares * lot.price)}</td>
+        <td class="td-num">&mdash;</td>
+        <td class="td-num">&mdash;</td>
+      </tr>`).join('');
+    return `<tr class="lots-detail">
+      <td colspan="11">
+        <table class="data-table lots-detail-table">
+          <thead>
+            <tr>
+              <th>Sold</th>
+              <th>Type</th>
+              <th>Acquired</th>
+              <th class="th-num">Shares</th>
+              <th class="th-num">Cost (${LOT_METHODS[lotMethod].label})</th>
+              <th class="th-num">Proceeds</th>
+              <th class="th-num">Gain</th>
+            </tr>
+          </thead>
+          <tbody>${sales}${open}</tbody>
+        </table>
+      </td>
+    </tr>`;
+  }
+
+  function renderLotPanel(data) {
+    const rows = reconcileLots(data, lotMethod);
+    reconciliation = new Map(rows.map(row => [row.key, row]));
+
+    document.querySelectorAll('.lot-method-btn').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.method === lotMethod);
+    });
+    $('#lots-method-col').textContent = LOT_METHODS[lotMethod].label + ' Realized';
+    $('#lots-mismatch-only').checked = lotsMismatchOnly;
+
+    const mismatches = rows.filter(row => row.mismatch).length;
+    $('#lots-count').textContent = rows.length
+      ? `${(rows.length - mismatches).toLocaleString()} of ${rows.length.toLocaleString()} positions reconcile`
+      : '';
+
+    const shown = (lotsMismatchOnly ? rows.filter(row => row.mismatch) : rows)
+      .sort((a, b) => (b.mismatch - a.mismatch) || Math.abs(b.pnlDiff || 0) - Math.abs(a.pnlDiff || 0));
+    $('#lots-empty').textContent = rows.length ? 'Every position matches the lot replay.' : 'No positions to reconcile.';
+    $('#lots-empty').classList.toggle('hidden', shown.length > 0);
+
+    const totalPages = Math.ceil(shown.length / PAGE_SIZE);
+    if (lotsPage > totalPages) lotsPage = Math.max(totalPages, 1);
+    const start = (lotsPage - 1) * PAGE_SIZE;
+    const cents = v => v == null ? '—' : (v * 100).toFixed(1) + '¢';
+
+    $('#lots-tbody').innerHTML = shown.slice(start, start + PAGE_SIZE).map(row => {
+      const p = row.position;
+      const expanded = lotsExpanded.has(row.key);
+      const expandable = row.disposals.length || row.openLots.length;
+      return `<tr class="${row.mismatch ? 'row-mismatch' : ''}">
+        <td class="td-title" title="${escapeHTML(p.title)}">${escapeHTML(p.title)}</td>
+        ${walletCellHTML(p)}
+        <td>${escapeHTML(p.outcome)}</td>
+        <td>${row.status === 'open' ? 'Open' : 'Closed'}</td>
+        <td class="td-num">${expandable
+          ? `<button class="lots-expand" data-key="${escapeHTML(row.key)}" aria-expanded="${expanded}" title="Show sales and open lots">${row.lots} ${expanded ? '&#9662;' : '&#9656;'}</button>`
+          : row.lots}</td>
+        <td class="td-num">${cents(row.engineAvg)}</td>
+        <td class="td-num">${cents(row.apiAvg)}</td>
+        <td class="td-num ${pnlClass(row.methodRealized)}">${row.methodRealized == null ? '—' : formatUSD(row.methodRealized)}</td>
+        <td class="td-num ${pnlClass(row.engineRealized)}">${row.engineRealized == null ? '—' : formatUSD(row.engineRealized)}</td>
+        <td class="td-num ${pnlClass(row.apiRealized)}">${formatUSD(row.apiRealized)}</td>
+        <td class="td-num">${row.pnlDiff == null ? 'No fills' : formatUSD(row.pnlDiff)}</td>
+      </tr>${expanded ? lotDetailHTML(row) : ''}`;
+    }).join('');
+
+    renderPagination('lots', lotsPage, totalPages, (page) => {
+      lotsPage = page;
+      renderLotPanel(getViewData());
+    });
+  }
+
+  function setLotMethod(method) {
+    if (!LOT_METHODS[method] || method === lotMethod) return;
+    lotMethod = method;
+    try { localStorage.setItem(LOT_METHOD_KEY, method); } catch (_) {}
+    gtag('event', 'lot_method', { method });
+    if (lastData) renderLotPanel(getViewData());
+  }
+
+  /* ---------- TAX REPORT ---------- */
+  /* Lots held longer than a year are long-term */
+  const LONG_TERM_MS = 365 * 86400000;
+  let taxYear = null;
+
+  /** Calendar years (local time) with any trading or activity, newest first. */
+  function taxYears(data) {
+    const years = new Set((data.activity || []).concat(data.trades || [])
+      .map(ev => new Date(toMs(ev.timestamp)).getFullYear())
+      .filter(isFinite));
+    return [...years].sort((a, b) => b - a);
+  }
+
+  /**
+   * Disposals in `year` under the audit panel's lot method, one row per lot
+   * slice so each carries its own acquisition date and holding term, plus
+   * the year's rewards, rebates and yields as a separate income list.
+   */
+  function taxReport(data, year) {
+    const inYear = ms => new Date(ms).getFullYear() === year;
+    const disposals = [];
+    replayLots(data, lotMethod).disposals.filter(d => inYear(d.timestamp)).forEach(d => {
+      d.slices.forEach(sl => {
+        const proceeds = sl.shares * d.price;
+        const known = sl.cost != null;
+        disposals.push({
+          title: d.title || 'Unknown',
+          outcome: d.outcome || '',
+          wallet: d.sourceWallet || '',
+          kind: d.kind,
+          acquired: sl.acquired,
+          disposed: d.timestamp,
+          shares: sl.shares,
+          proceeds,
+          cost: sl.cost,
+          gain: known ? proceeds - sl.cost : null,
+          term: !known ? 'Unknown basis' : d.timestamp - sl.acquired > LONG_TERM_MS ? 'Long-term' : 'Short-term',
+        });
+      });
+    });
+    disposals.sort((a, b) => a.disposed - b.disposed);
+    const unknownBasis = disposals.filter(d => d.cost == null);
+
+    /* Sales of shares bought before the loaded history can't be matched to a cost */
+    const status = combinedLoadStatus(data);
+    const incomplete = ['trades', 'activity'].some(key => status[key].truncated || status[key].partial || status[key].failed);
+    const warnings = [];
+    if (unknownBasis.length) {
+      warnings.push(`${unknownBasis.length} disposal${unknownBasis.length !== 1 ? 's' : ''} sold shares bought before the loaded history; their cost basis and gain are unknown and left out of the totals.`);
+    }
+    if (incomplete) {
+      warnings.push('Trade or activity history is incomplete, so some disposals or their cost basis may be missing.');
+    }
+
+    const income = (data.activity || [])
+      .filter(ev => INCOME_TYPES.includes(ev.type) && inYear(toMs(ev.timestamp)))
+      .map(ev => ({
+        date: toMs(ev.timestamp),
+        type: TL_TYPE_LABELS[ev.type].replace(/s$/, ''),
+        title: ev.title || '',
+        wallet: ev.sourceWallet || '',
+        amount: Number(ev.usdcSize || 0),
+      }))
+      .sort((a, b) => a.date - b.date);
+
+    const sum = (rows, field) => rows.reduce((s, r) => s + r[field], 0);
+    return {
+      year,
+      method: LOT_METHODS[lotMethod].name,
+      disposals,
+      income,
+      shortTerm: sum(disposals.filter(d => d.term === 'Short-term'), 'gain'),
+      longTerm: sum(disposals.filter(d => d.term === 'Long-term'), 'gain'),
+      proceeds: sum(disposals.filter(d => d.cost != null), 'proceeds'),
+      cost: sum(disposals, 'cost'),
+      unknownProceeds: sum(unknownBasis, 'proceeds'),
+      warnings,
+      totalIncome: sum(income, 'amount'),
+    };
+  }
+
+  /** The report as spreadsheet rows: summary, disposals, then income. */
+  function taxReportRows(report) {
+    const walletHeader = isMultiWallet() ? ['Wallet'] : [];
+    const walletCell = row => isMultiWallet() ? [row.wallet] : [];
+    const day = ms => ms == null ? 'Unknown' : new Date(ms).toLocaleDateString('en-CA');
+    const usd = n => n == null ? 'Unknown' : Number(n.toFixed(2));
+    return [
+      ['Realized gains ' + report.year + ' — ' + walletsLabel()],
+      ...report.warnings.map(w => ['Warning', w]),
+      ['Cost basis method', report.method],
+      ['Proceeds', usd(report.proceeds)],
+      ...(report.unknownProceeds ? [['Proceeds with unknown basis', usd(report.unknownProceeds)]] : []),
+      ['Cost basis', usd(report.cost)],
+      ['Short-term gain', usd(report.shortTerm)],
+      ['Long-term gain', usd(report.longTerm)],
+      ['Other income', usd(report.totalIncome)],
+      [],
+      ['Disposals'],
+      ['Market', ...walletHeader, 'Outcome', 'Disposal', 'Acquired', 'Disposed', 'Shares', 'Proceeds', 'Cost Basis', 'Gain', 'Term'],
+      ...report.disposals.map(d => [
+        d.title, ...walletCell(d), d.outcome, d.kind.charAt(0) + d.kind.slice(1).toLowerCase(),
+        day(d.acquired), day(d.disposed), Number(d.shares.toFixed(4)), usd(d.proceeds), usd(d.cost), usd(d.gain), d.term,
+      ]),
+      [],
+      ['Income'],
+      ['Date', 'Type', 'Market', ...walletHeader, 'Amount'],
+      ...report.income.map(i => [day(i.date), i.type, i.title, ...walletCell(i), usd(i.amount)]),
+    ];
+  }
+
+  function csvCell(value) {
+    const text = value == null ? '' : String(value);
+    return /[",\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+  }
+
+  function downloadFile(filename, text, type) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  function renderTaxYearOptions() {
+    const data = getViewData();
+    const years = data ? taxYears(data) : [];
+    if (!years.includes(taxYear)) taxYear = years[0] || null;
+    const select = $('#tax-year');
+    select.innerHTML = years.map(y => `<option value="${y}">${y}</option>`).join('');
+    select.value = taxYear == null ? '' : String(taxYear);
+    select.disabled = !years.length;
+    $('#dl-tax-csv').disabled = !years.length;
+  }
+
+  function generateTaxCSV() {
+    const data = getViewData();
+    if (!data || taxYear == null) return;
+    gtag('event', 'tax_csv_download', { year: taxYear, method: lotMethod });
+    const csv = taxReportRows(taxReport(data, taxYear)).map(row => row.map(csvCell).join(',')).join('\n');
+    downloadFile(exportBaseName() + '-tax-' + taxYear + '.csv', csv, 'text/csv;charset=utf-8');
+  }
+
+  /* ---------- SAVED GROUPS ---------- */
+  function getSavedGroups() {
+    try {
+      return JSON.parse(localStorage.getItem(GROUPS_KEY)) || {};
+    } catch (_) { return {}; }
+  }
+
+  function saveGroup(name, addresses) {
+    const groups = getSavedGroups();
+    groups[name] = addresses;
+    try { localStorage.setItem(GROUPS_KEY, JSON.stringify(groups)); } catch (_) {}
+    updateRecentDatalist();
+  }
+
+  /* ---------- RETURNS ---------- */
+  /*
+   * Return % is measured on cash flows between the wallet and its
+   * positions (buys and splits in; sells, merges, redeems and income out)
+   * rather than on the open book alone, so capital that has already been
+   * closed out still counts.
+   */
+  const RETURN_METHOD_KEY = 'polyfolio-return-method';
+  const RETURN_METHODS = {
+    twr: {
+      label: 'TWR',
+      name: 'Time-weighted return',
+      help: 'Time-weighted return: daily returns on the positions book, chained together, so the size and timing of deposits do not affect it. Good for comparing trading skill.',
+    },
+    irr: {
+      label: 'IRR',
+      name: 'Money-weighted return (IRR, annualized)',
+      help: 'Money-weighted return: the annualized internal rate of return of every buy, sell, redeem and payout, with today’s portfolio value as the final inflow. Reflects what your money actually earned.',
+    },
+  };
+
+  let returnMethod = (() => {
+    try {
+      const saved = localStorage.getItem(RETURN_METHOD_KEY);
+      return RETURN_METHODS[saved] ? saved : 'twr';
+    } catch (_) { return 'twr'; }
+  })();
+
+  /*
+   * The replay behind the equity series is costly. Wallet views, breakdown
+   * rows, compare sides and exports each build fresh arrays, so results are
+   * cached by what the replay reads rather than by array identity.
+   */
+  const SERIES_MEMO_SIZE = 16;
+  const seriesMemo = new Map();
+
+  /* Row fields the replay and the series read, per dataset */
+  const SERIES_ROW_FIELDS = {
+    positions: r => [r.sourceWallet, r.asset, r.conditionId, r.size, r.curPrice, r.currentValue, r.timestamp],
+    closedPositions: r => [r.sourceWallet, r.asset, r.conditionId, r.curPrice, r.realizedPnl, r.timestamp, r.title, r.outcome],
+    trades: r => [r.sourceWallet, eventKey(r), r.conditionId, r.usdcSize],
+    activity: r => [r.sourceWallet, eventKey(r), r.conditionId, r.usdcSize],
+  };
+
+  /** 53-bit hash (cyrb53) over a list of strings, for memo keys that cover many rows. */
+  function hashStrings(strings) {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    strings.forEach(str => {
+      for (let i = 0; i <= str.length; i++) {
+        /* A trailing newline keeps ['ab','c'] and ['a','bc'] apart */
+        const ch = i < str.length ? str.charCodeAt(i) : 10;
+        h1 = Math.imul(h1 ^ ch, 2654435761);
+        h2 = Math.imul(h2 ^ ch, 1597334677);
+      }
+    });
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+  }
+
+  /** As-of date plus the size and a digest of the fields the replay reads, per dataset. */
+  function seriesMemoKey(data) {
+    const parts = [data.asOf];
+    Object.keys(SERIES_ROW_FIELDS).forEach(key => {
+      const rows = data[key] || [];
+      parts.push(rows.length, hashStrings(rows.map(r => SERIES_ROW_FIELDS[key](r).join('|'))));
+    });
+    return parts.join('|');
+  }
+
+  function equitySeriesFor(data) {
+    const key = seriesMemoKey(data);
+    if (seriesMemo.has(key)) return seriesMemo.get(key);
+    const series = buildEquitySeries(data);
+    seriesMemo.set(key, series);
+    if (seriesMemo.size > SERIES_MEMO_SIZE) seriesMemo.delete(seriesMemo.keys().next().value);
+    return series;
+  }
+
+  /**
+   * Time-weighted return, chaining daily Modified Dietz returns: money put
+   * in counts from the start of the day, proceeds and income from its end.
+   */
+  function timeWeightedReturn(series) {
+    let growth = 1;
+    let prevValue = 0;
+    let periods = 0;
+    series.days.forEach((_, i) => {
+      const base = prevValue + series.paidIn[i];
+      const value = series.value[i];
+      if (base > 0) {
+        growth *= 1 + (value - base + series.paidOut[i] + series.income[i]) / base;
+        periods++;
+      }
+      prevValue = value;
+    });
+    return periods ? growth - 1 : null;
+  }
+
+  /** Annualized IRR of daily net flows plus the closing value, by bisection. */
+  function moneyWeightedReturn(series) {
+    if (!series.days.length) return null;
+    const t0 = new Date(series.days[0] + 'T00:00:00Z').getTime();
+    const flows = series.days.map((d, i) => ({
+      years: (new Date(d + 'T00:00:00Z').getTime() - t0) / (365 * 86400000),
+      amount: series.paidOut[i] + series.income[i] - series.paidIn[i],
+    }));
+    flows[flows.length - 1].amount += series.value[series.value.length - 1];
+    if (!flows.some(f => f.amount < 0) || !flows.some(f => f.amount > 0)) return null;
+
+    const npv = rate => flows.reduce((sum, f) => sum + f.amount / Math.pow(1 + rate, f.years), 0);
+    let lo = -0.9999;
+    let hi = 1;
+    let fLo = npv(lo);
+    if (isNaN(fLo)) return null;
+    /* Short, high-return histories can annualize far past any fixed bound */
+    while (Math.sign(fLo) === Math.sign(npv(hi))) {
+      hi *= 10;
+      if (!isFinite(npv(hi)) || hi > 1e300) return null;
+    }
+    for (let i = 0; i < 2000 && hi - lo > 1e-9; i++) {
+      const mid = (lo + hi) / 2;
+      const fMid = npv(mid);
+      if (Math.sign(fMid) === Math.sign(fLo)) { lo = mid; fLo = fMid; } else { hi = mid; }
+    }
+    return (lo + hi) / 2;
+  }
+
+  function computeReturns(data) {
+    const series = equitySeriesFor(data);
+    return { twr: timeWeightedReturn(series), irr: moneyWeightedReturn(series) };
+  }
+
+  function formatReturn(r) {
+    return r == null || !isFinite(r) ? '—' : formatPct(r);
+  }
+
+  function setReturnMethod(method) {
+    if (!RETURN_METHODS[method] || method === returnMethod) return;
+    returnMethod = method;
+    try { localStorage.setItem(RETURN_METHOD_KEY, method); } catch (_) {}
+    gtag('event', 'return_method', { method });
+    if (lastData) renderDashboard(getViewData());
+    if (compareData) renderCompareMetrics(compareData);
+  }
+
+  /* ---------- METRICS ---------- */
+  /* Which datasets each headline metric is computed from */
+  const METRIC_SOURCES = {
+    totalValue: ['positions'],
+    returnPct: ['positions', 'trades', 'activity'],
+    winRate: ['closedPositions'],
+    realizedPnl: ['closedPositions'],
+    income: ['activity'],
+    unrealizedPnl: ['positions'],
+    rank: ['leaderboard'],
+    activeCount: ['positions'],
+    closedCount: ['closedPositions'],
+  };
+
+  const METRIC_ELEMENTS = {
+    totalValue: 'm-total-value',
+    returnPct: 'm-return-pct',
+    winRate: 'm-win-rate',
+    realizedPnl: 'm-realized-pnl',
+    unrealizedPnl: 'm-unrealized-pnl',
+    rank: 'm-rank',
+    activeCount: 'm-active',
+    closedCount: 'm-closed',
+  };
+
+  function computeMetrics(data) {
+    const { positions, leaderboard } = data;
+    const closedPositions = inDateRange(data.closedPositions);
+
+    const totalValue = positions.reduce((s, p) => s + Number(p.currentValue || 0), 0);
+    const unrealizedPnl = positions.reduce((s, p) => s + Number(p.cashPnl || 0), 0);
+    const realizedPnl = closedPositions.reduce((s, p) => s + Number(p.realizedPnl || 0), 0);
+    const { total: income, byType: incomeByType } = incomeBreakdown(inDateRange(data.activity));
+
+    const closedWithPnl = closedPositions.filter(p => Number(p.realizedPnl) !== 0);
+    const wins = closedWithPnl.filter(p => Number(p.realizedPnl) > 0).length;
+    const winRate = closedWithPnl.length > 0 ? wins / closedWithPnl.length : 0;
+
+    const returns = computeReturns(data);
+    const returnPct = returns[returnMethod];
+
+    /* A leaderboard rank only means something for a single wallet */
+    const walletCount = Object.keys(data.walletStatus || {}).length;
+    const rank = walletCount <= 1 && leaderboard && leaderboard[0] ? leaderboard[0].rank : null;
+
+    const loadStatus = combinedLoadStatus(data);
+    const partial = Object.keys(METRIC_SOURCES).filter(key =>
+      METRIC_SOURCES[key].some(ds => isIncomplete(loadStatus[ds])));
+
+    return {
+      partial,
+      rank,
+      totalValue,
+      unrealizedPnl,
+      realizedPnl,
+      income,
+      incomeByType,
+      returnPct,
+      returns,
+      winRate,
+      activeCount: positions.length,
+      closedCount: closedPositions.length,
+    };
+  }
+
+  function renderMetrics(m) {
+    const rk = $('#m-rank');
+    rk.textContent = m.rank ? '#' + Number(m.rank).toLocaleString() : '—';
+
+    const tv = $('#m-total-value');
+    const up = $('#m-unrealized-pnl');
+    const rp = $('#m-realized-pnl');
+    const ret = $('#m-return-pct');
+    const wr = $('#m-win-rate');
+    const ac = $('#m-active');
+    const cl = $('#m-closed');
+
+    tv.textContent = formatUSD(m.totalValue);
+    up.textContent = formatUSD(m.unrealizedPnl);
+    up.className = 'metric-value ' + metricClass(m.unrealizedPnl);
+    rp.textContent = formatUSD(m.realizedPnl);
+    rp.className = 'metric-value ' + metricClass(m.realizedPnl);
+    const inc = $('#m-income');
+    inc.textContent = m.income ? '+ ' + formatUSD(m.income) + ' income' : '';
+    inc.title = INCOME_TYPES.map(type => INCOME_LABELS[type] + ': ' + formatUSD(m.incomeByType[type])).join('\n');
+    ret.textContent = formatReturn(m.returnPct);
+    ret.className = 'metric-value ' + metricClass(m.returnPct);
+    renderReturnMethod(m);
+    wr.textContent = (m.winRate * 100).toFixed(1) + '%';
+    ac.textContent = m.activeCount;
+    cl.textContent = m.closedCount;
+
+    /* Flag cards whose inputs did not load completely */
+    Object.keys(METRIC_ELEMENTS).forEach(key => {
+      const card = document.getElementById(METRIC_ELEMENTS[key]).closest('.metric-card');
+      const partial = m.partial.includes(key);
+      card.classList.toggle('metric-partial', partial);
+      const help = key === 'returnPct' ? RETURN_METHODS[returnMethod].help : '';
+      card.title = [help, partial ? 'Computed from partial data' : ''].filter(Boolean).join('\n\n');
+    });
+  }
+
+  /** Method toggle on the Return % card; the other method's figure goes in its tooltip. */
+  function renderReturnMethod(m) {
+    document.querySelectorAll('.return-method-btn').forEach(btn => {
+      const method = btn.dataset.method;
+      btn.classList.toggle('active', method === returnMethod);
+      btn.title = RETURN_METHODS[method].name + (m ? ': ' + formatReturn(m.returns[method]) : '');
+    });
+  }
+
+  /* ---------- RISK METRICS ---------- */
+  /**
+   * Trade-quality figures come from closed positions' realized PnL. Daily
+   * PnL (and the drawdown and volatility built on it) comes from the equity
+   * series: the change in marked book value plus that day's net cash out.
+   */
+  function computeRiskMetrics(data) {
+    const outcomes = (data.closedPositions || []).map(p => Number(p.realizedPnl || 0)).filter(pnl => pnl !== 0);
+    const wins = outcomes.filter(pnl => pnl > 0);
+    const losses = outcomes.filter(pnl => pnl < 0);
+    const sum = list => list.reduce((a, b) => a + b, 0);
+    const grossWin = sum(wins);
+    const grossLoss = -sum(losses);
+
+    const series = equitySeriesFor(data);
+    const dailyPnl = series.days.map((_, i) => {
+      const prev = i ? series.value[i - 1] : 0;
+      return series.value[i] - prev - series.paidIn[i] + series.paidOut[i] + series.income[i];
+    });
+
+    /* Max drawdown on cumulative PnL, in dollars */
+    let cumulative = 0;
+    let peak = 0;
+    let peakDay = null;
+    let maxDrawdown = 0;
+    let drawdownFrom = null;
+    let drawdownTo = null;
+    dailyPnl.forEach((pnl, i) => {
+      cumulative += pnl;
+      if (cumulative >= peak) {
+        peak = cumulative;
+        peakDay = series.days[i];
+      } else if (peak - cumulative > maxDrawdown) {
+        maxDrawdown = peak - cumulative;
+        drawdownFrom = peakDay || series.days[0];
+        drawdownTo = series.days[i];
+      }
+    });
+
+    const mean = dailyPnl.length ? sum(dailyPnl) / dailyPnl.length : 0;
+    const variance = dailyPnl.length > 1 ? sum(dailyPnl.map(v => (v - mean) ** 2)) / (dailyPnl.length - 1) : null;
+
+    return {
+      maxDrawdown,
+      drawdownFrom,
+      drawdownTo,
+      profitFactor: grossLoss > 0 ? grossWin / grossLoss : (grossWin > 0 ? Infinity : null),
+      expectancy: outcomes.length ? sum(outcomes) / outcomes.length : null,
+      avgWin: wins.length ? grossWin / wins.length : null,
+      avgLoss: losses.length ? -grossLoss / losses.length : null,
+      largestLoss: losses.length ? Math.min(...losses) : null,
+      dailyVolatility: variance == null ? null : Math.sqrt(variance),
+      tradeCount: outcomes.length,
+      dayCount: dailyPnl.length,
+    };
+  }
+
+  /** [label, value, note] rows shared by the panel and the exports. */
+  function riskMetricRows(r) {
+    const usd = v => v == null ? '—' : formatUSD(v);
+    const ratio = v => v == null ? '—' : (v === Infinity ? '∞' : v.toFixed(2));
+    const winLoss = r.avgWin != null && r.avgLoss ? r.avgWin / -r.avgLoss : null;
+    return [
+      ['Max Drawdown', r.maxDrawdown ? formatUSD(-r.maxDrawdown) : usd(0),
+        r.drawdownFrom ? formatDate(r.drawdownFrom + 'T00:00:00') + ' → ' + formatDate(r.drawdownTo + 'T00:00:00') : 'Peak-to-trough fall in cumulative PnL'],
+      ['Profit Factor', ratio(r.profitFactor), 'Gross wins ÷ gross losses'],
+      ['Expectancy', usd(r.expectancy), 'Average realized PnL per closed position (' + r.tradeCount + ')'],
+      ['Avg Win', usd(r.avgWin), 'Per winning closed position'],
+      ['Avg Loss', usd(r.avgLoss), 'Per losing closed position'],
+      ['Win / Loss Ratio', ratio(winLoss), 'Avg win ÷ avg loss'],
+      ['Largest Loss', usd(r.largestLoss), 'Single worst closed position'],
+      ['Daily PnL Volatility', usd(r.dailyVolatility), 'Std. dev. over ' + r.dayCount + ' active days'],
+    ];
+  }
+
+  function renderRiskMetrics(r) {
+    $('#risk-grid').innerHTML = riskMetricRows(r).map(([label, value, note]) => {
+      const negative = value.startsWith('-') || value.startsWith('$-');
+      return `<div class="metric-card risk-card" title="${escapeHTML(note)}">
+        <span class="metric-label">${escapeHTML(label)}</span>
+        <span class="metric-value${negative ? ' negative' : ''}">${escapeHTML(value)}</span>
+        <span class="risk-note">${escapeHTML(note)}</span>
+      </div>`;
+    }).join('');
+  }
+
+  /* ---------- PDF EXPORT ---------- */
+  function generatePDF() {
+    const data = getViewData();
+    if (!data) return;
+    if (!window.jspdf) { alert('PDF library failed to load. Please refresh and try again.'); return; }
+    gtag('event', 'pdf_download');
+    const { jsPDF } = window.jspdf;
+    const doc = new jsPDF({ orientation: 'portrait', unit: 'mm', format: 'a4' });
+    const pw = doc.internal.pageSize.getWidth();
+    const margin = 14;
+    const colW = pw - margin * 2;
+    let y = 18;
+
+    function checkPage(needed) {
+      if (y + needed > 280) { doc.addPage(); y = 18; }
+    }
+
+    /* --- Title --- */
+    doc.setFontSize(18);
+    doc.setFont('helvetica', 'bold');
+    doc.text('Polyfolio Report', margin, y);
+    y += 7;
+    doc.setFontSize(9);
+    doc.setFont('helvetica', 'normal');
+    doc.setTextColor(120);
+    const addr = walletsLabel();
+    const now = new Date();
+    const dateStr = now.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' });
+    const timeStr = now.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+    doc.text(addr + '  |  ' + dateStr + ' at ' + timeStr, margin, y);
+    if (data.asOf) {
+      y += 5;
+      doc.text(asOfLabel() + ' — rebuilt from trade and activity history, marked at last traded prices', margin, y);
+    }
+    if (dateRangeBounds()) {
+      y += 5;
+      doc.text('Date range: ' + dateRangeLabel() + ' — realized metrics and closed positions only', margin, y);
+    }
+    ['active', 'closed'].filter(hasTableFilters).forEach(table => {
+      y += 5;
+      doc.text((table === 'active' ? 'Active' : 'Closed') + ' positions filtered: ' + tableFilterLabel(table), margin, y);
+    });
+    doc.setTextColor(0);
+    y += 10;
+
+    /* --- Metrics --- */
+    const m = computeMetrics(data);
+    const rankStr = m.rank ? '#' + Number(m.rank).toLocaleString() : '—';
+    const mark = (key) => m.partial.includes(key) ? ' *' : '';
+    const metrics = [
+      ['Portfolio Value' + mark('totalValue'), formatUSD(m.totalValue)],
+      ['Return % (TWR)' + mark('returnPct'), formatReturn(m.returns.twr)],
+      ['Return % (IRR, ann.)' + mark('returnPct'), formatReturn(m.returns.irr)],
+      ['Win Rate' + mark('winRate'), (m.winRate * 100).toFixed(1) + '%'],
+      ['Realized PnL' + mark('realizedPnl'), formatUSD(m.realizedPnl)],
+      ['Unrealized PnL' + mark('unrealizedPnl'), formatUSD(m.unrealizedPnl)],
+      ['Income' + mark('income'), formatUSD(m.income)],
+      ['Income Share of PnL' + mark('income'), incomeShare(m) == null ? '—' : (incomeShare(m) * 100).toFixed(1) + '%'],
+      ['Leaderboard Rank' + mark('rank'), rankStr],
+      ['Active Positions' + mark('activeCount'), String(m.activeCount)],
+      ['Closed Positions' + mark('closedCount'), String(m.closedCount)],
+    ];
+
+    /* Four-column grid of label / value pairs */
+    function drawMetricGrid(title, pairs) {
+      checkPage(12 * Math.ceil(pairs.length / 4) + 10);
+      doc.setFontSize(12);
+      doc.setFont('helvetica', 'bold');
+      doc.text(title, margin, y);
+      y += 6;
+
+      doc.setFontSize(9);
+      const mColW = colW / 4;
+      pairs.forEach((pair, i) => {
+        const col = i % 4;
+        const x = margin + col * mColW;
+        if (i > 0 && col === 0) y += 12;
+        doc.setFont('helvetica', 'normal');
+        doc.setTextColor(120);
+        doc.text(pair[0], x, y);
+        doc.setTextColor(0);
+        doc.setFont('helvetica', 'bold');
+        doc.text(pair[1], x, y + 4.5);
+      });
+      y += 18;
+    }
+
+    drawMetricGrid('Summary', metrics);
+
+    const notices = dataNoticeLines(data);
+    if (notices.length) {
+      doc.setFontSize(7.5);
+      doc.setFont('helvetica', 'normal');
+      doc.setTextColor(160, 60, 40);
+      doc.text('* Computed from incomplete data:', margin, y - 6);
+      notices.forEach((line, i) => doc.text(line, margin, y - 2 + i * 4, { maxWidth: colW }));
+      doc.setTextColor(0);
+      y += notices.length * 4 + 2;
+    }
+
+    drawMetricGrid('Risk & Trade Quality', riskMetricRows(computeRiskMetrics(data)));
+
+    /* --- Allocation Chart + Legend --- */
+    const chartCanvas = $('#chart-alloc-position');
+    const allocChart = chartInstances.find(c => c.canvas === chartCanvas);
+    if (chartCanvas && allocChart) {
+      const allocLabels = allocChart.data.labels || [];
+      const allocValues = allocChart.data.datasets[0].data || [];
+      const allocColors = allocChart.data.datasets[0].backgroundColor || [];
+      const allocTotal = allocValues.reduce((s, v) => s + v, 0);
+      const legendLineH = 5;
+      const chartSize = 60;
+      const legendH = allocLabels.length * legendLineH;
+      const sectionH = Math.max(chartSize, legendH) + 10;
+
+      checkPage(sectionH + 10);
+      doc.setFontSize(12);
+      doc.setFont('helvetica', 'bold');
+      doc.setTextColor(0);
+      const allocTitle = 'Allocation by Position' + (allocMode === 'cost' ? ' (Cost Basis)' : ' (Current Value)');
+      doc.text(allocTitle, margin, y);
+      y += 4;
+
+      const chartY = y;
+      try {
+        const imgData = chartCanvas.toDataURL('image/png');
+        doc.addImage(imgData, 'PNG', margin, y, chartSize, chartSize);
+      } catch (_) {}
+
+      /* Legend to the right of chart */
+      const legendX = margin + chartSize + 8;
+      const legendW = colW - chartSize - 8;
+      let ly = chartY + 2;
+      doc.setFontSize(6.5);
+      allocLabels.forEach((lbl, i) => {
+        if (!allocChart.getDataVisibility(i)) return;
+        const color = allocColors[i] || '#999';
+        const r = parseInt(color.slice(1, 3), 16);
+        const g = parseInt(color.slice(3, 5), 16);
+        const b = parseInt(color.slice(5, 7), 16);
+        doc.setFillColor(r, g, b);
+        doc.rect(legendX, ly - 2.5, 3, 3, 'F');
 
         const pct = allocTotal ? ((allocValues[i] / allocTotal) * 100).toFixed(1) : '0.0';
         let txt = lbl + '  ' + formatUSD(allocValues[i]) + ' (' + pct + '%)';
@@ -430,14 +2164,39 @@
       y += 4;
     }
 
+    /* Wallet column only when several wallets are merged */
+    const walletHeader = isMultiWallet() ? ['Wallet'] : [];
+    const walletCell = (row) => isMultiWallet() ? [walletTag(row.sourceWallet)] : [];
+
+    /* --- Wallet Breakdown Table --- */
+    if (isMultiWallet()) {
+      const walletRows = currentWallets.filter(a => data.walletStatus[a]).map(address => {
+        const wm = computeMetrics(filterByWallets(data, [address]));
+        return [address, formatUSD(wm.totalValue), formatUSD(wm.realizedPnl), formatUSD(wm.unrealizedPnl),
+          formatReturn(wm.returnPct), (wm.winRate * 100).toFixed(1) + '%', String(wm.activeCount), String(wm.closedCount)];
+      });
+      drawTable('Wallets (' + walletRows.length + ')', ['Wallet', 'Value', 'Realized', 'Unrealized', 'Return', 'Win Rate', 'Active', 'Closed'], walletRows);
+    }
+
+    /* --- Categories Table --- */
+    const categories = categoryStats(data.positions || [], data.closedPositions || []);
+    if (categories.length) {
+      const categoryRows = categories.map(c => [
+        c.name, String(c.count), formatUSD(c.capital), formatUSD(c.pnl), formatPct(c.returnPct),
+        c.winRate == null ? '—' : (c.winRate * 100).toFixed(1) + '%',
+      ]);
+      drawTable('Categories (' + categories.length + ')', ['Category', 'Positions', 'Capital', 'PnL', 'Return', 'Win Rate'], categoryRows);
+    }
+
     /* --- Active Positions Table --- */
-    const positions = lastData.positions || [];
+    const positions = filterTableRows('active', data.positions || []);
     if (positions.length) {
-      const activeHeaders = ['Title', 'Outcome', 'Size', 'Avg Price', 'Cur Price', 'Value', 'PnL', '%'];
+      const activeHeaders = ['Title', ...walletHeader, 'Outcome', 'Size', 'Avg Price', 'Cur Price', 'Value', 'PnL', '%'];
       const activeRows = positions.map(p => {
         const ppnl = Number(p.percentPnl || 0);
         return [
           p.title || 'Unknown',
+          ...walletCell(p),
           p.outcome || '',
           Number(p.size || 0).toFixed(2),
           Number(p.avgPrice || 0).toFixed(3),
@@ -451,18 +2210,22 @@
     }
 
     /* --- Closed Positions Table --- */
-    const closed = lastData.closedPositions || [];
+    const closed = filterTableRows('closed', inDateRange(data.closedPositions));
     if (closed.length) {
-      const closedHeaders = ['Title', 'Outcome', 'Realized PnL', '% Return', 'Closed'];
+      const closedHeaders = ['Title', ...walletHeader, 'Outcome', 'Avg Price', 'Cost Basis', 'Realized PnL', '% Return', 'Exit', 'Closed'];
       const closedRows = closed.map(p => {
         const rpnl = Number(p.realizedPnl || 0);
-        const costBasis = Number(p.totalBought || 0) * Number(p.avgPrice || 0);
+        const costBasis = closedCostBasis(p);
         const rpct = costBasis > 0 ? (rpnl / costBasis) * 100 : 0;
         return [
           p.title || 'Unknown',
+          ...walletCell(p),
           p.outcome || '',
+          Number(p.avgPrice || 0).toFixed(3),
+          formatUSD(costBasis),
           formatUSD(rpnl),
           (rpct >= 0 ? '+' : '') + rpct.toFixed(1) + '%',
+          exitType(p) === 'resolved' ? 'Resolved' : 'Sold',
           formatDate(p.timestamp),
         ];
       });
@@ -470,7 +2233,7 @@
     }
 
     /* --- Save --- */
-    const filename = 'polyfolio-' + (addr.slice(0, 10) || 'report') + '.pdf';
+    const filename = exportBaseName() + '.pdf';
     doc.save(filename);
   }
 
@@ -480,6 +2243,7 @@
 
   dlBtn.addEventListener('click', (e) => {
     e.stopPropagation();
+    if (!dlDropdown.classList.contains('visible')) renderTaxYearOptions();
     dlDropdown.classList.toggle('visible');
   });
 
@@ -499,21 +2263,35 @@
     generateExcel();
   });
 
+  $('#tax-year').addEventListener('change', (e) => {
+    taxYear = Number(e.target.value);
+  });
+
+  $('#dl-tax-csv').addEventListener('click', () => {
+    dlDropdown.classList.remove('visible');
+    generateTaxCSV();
+  });
+
   /* ---------- EXCEL EXPORT ---------- */
   function generateExcel() {
-    if (!lastData) return;
+    const data = getViewData();
+    if (!data) return;
     if (!window.XLSX) { alert('Excel library failed to load. Please refresh and try again.'); return; }
     gtag('event', 'excel_download');
 
     const wb = XLSX.utils.book_new();
-    const m = computeMetrics(lastData);
-    const addr = dashAddr.textContent || '';
-    const polymarketBase = 'https://polymarket.com/event/';
+    const m = computeMetrics(data);
+    const addr = walletsLabel();
+
+    /* Wallet column only when several wallets are merged */
+    const walletHeader = isMultiWallet() ? ['Wallet'] : [];
+    const walletCell = (row) => isMultiWallet() ? [row.sourceWallet || ''] : [];
 
     /* --- Active Positions Sheet --- */
-    const activeHeader = ['Title', 'Outcome', 'Size', 'Avg Price', 'Cur Price', 'Value', 'PnL', 'PnL %', 'End Date', 'Link'];
-    const activeData = (lastData.positions || []).map(p => [
+    const activeHeader = ['Title', ...walletHeader, 'Outcome', 'Size', 'Avg Price', 'Cur Price', 'Value', 'PnL', 'PnL %', 'End Date', 'Link'];
+    const activeData = filterTableRows('active', data.positions || []).map(p => [
       p.title || 'Unknown',
+      ...walletCell(p),
       p.outcome || '',
       Number(p.size || 0),
       Number(p.avgPrice || 0),
@@ -522,68 +2300,97 @@
       Number(p.cashPnl || 0),
       Number(p.percentPnl || 0),
       p.endDate ? formatDate(p.endDate) : '',
-      p.slug ? polymarketBase + p.slug : '',
+      p.slug ? POLYMARKET_EVENT_URL + p.slug : '',
     ]);
 
     const summaryRows = [
       ['Polyfolio Report — ' + addr],
       ['Generated', new Date().toLocaleString()],
+      ...(data.asOf ? [['Historical view', asOfLabel() + ' (rebuilt from trade and activity history, marked at last traded prices)']] : []),
+      ...(dateRangeBounds() ? [['Date range', dateRangeLabel() + ' (realized metrics, closed positions, winners/losers and transactions)']] : []),
+      ...['active', 'closed'].filter(hasTableFilters).map(table => [(table === 'active' ? 'Active' : 'Closed') + ' positions filtered', tableFilterLabel(table)]),
       [],
-      ['Portfolio Value', m.totalValue, '', 'Return %', (m.returnPct * 100).toFixed(1) + '%'],
+      ['Portfolio Value', m.totalValue, '', 'Return % (TWR)', formatReturn(m.returns.twr)],
+      ['', '', '', 'Return % (IRR, annualized)', formatReturn(m.returns.irr)],
       ['Realized PnL', m.realizedPnl, '', 'Unrealized PnL', m.unrealizedPnl],
+      ['Income', m.income, '', 'Income Share of PnL', incomeShare(m) == null ? '—' : (incomeShare(m) * 100).toFixed(1) + '%'],
       ['Win Rate', (m.winRate * 100).toFixed(1) + '%', '', 'Rank', m.rank || '—'],
       ['Active Positions', m.activeCount, '', 'Closed Positions', m.closedCount],
+      ...(m.partial.length ? [['* Partial', 'Computed from incomplete data: ' + m.partial.join(', ')]] : []),
+      ...dataNoticeLines(data).map(line => ['Data notice', line]),
+      ...Object.keys(RETURN_METHODS).map(method => ['Return method', RETURN_METHODS[method].help]),
       [],
     ];
     const activeSheet = XLSX.utils.aoa_to_sheet([...summaryRows, activeHeader, ...activeData]);
     XLSX.utils.book_append_sheet(wb, activeSheet, 'Active Positions');
 
     /* --- Closed Positions Sheet --- */
-    const closedHeader = ['Title', 'Outcome', 'Realized PnL', '% Return', 'Closed', 'Link'];
-    const closedData = (lastData.closedPositions || []).map(p => {
+    const closedHeader = ['Title', ...walletHeader, 'Outcome', 'Avg Price', 'Total Bought', 'Cost Basis', 'Realized PnL', '% Return', 'Exit', 'Closed', 'Link'];
+    const closedData = filterTableRows('closed', inDateRange(data.closedPositions)).map(p => {
       const rpnl = Number(p.realizedPnl || 0);
-      const costBasis = Number(p.totalBought || 0) * Number(p.avgPrice || 0);
+      const costBasis = closedCostBasis(p);
       const rpct = costBasis > 0 ? (rpnl / costBasis) * 100 : 0;
       return [
         p.title || 'Unknown',
+        ...walletCell(p),
         p.outcome || '',
+        Number(p.avgPrice || 0),
+        Number(p.totalBought || 0),
+        costBasis,
         rpnl,
         Number(rpct.toFixed(1)),
+        exitType(p) === 'resolved' ? 'Resolved' : 'Sold',
         formatDate(p.timestamp),
-        p.slug ? polymarketBase + p.slug : '',
+        p.slug ? POLYMARKET_EVENT_URL + p.slug : '',
       ];
     });
     const closedSheet = XLSX.utils.aoa_to_sheet([closedHeader, ...closedData]);
     XLSX.utils.book_append_sheet(wb, closedSheet, 'Closed Positions');
 
-    /* --- Winners & Losers Sheet --- */
-    const pnlMap = {};
-    for (const p of (lastData.positions || [])) {
-      const key = p.title || 'Unknown';
-      if (!pnlMap[key]) pnlMap[key] = { title: key, slug: p.slug || '', pnl: 0 };
-      pnlMap[key].pnl += Number(p.cashPnl || 0);
-      if (!pnlMap[key].slug && p.slug) pnlMap[key].slug = p.slug;
-    }
-    for (const p of (lastData.closedPositions || [])) {
-      const key = p.title || 'Unknown';
-      if (!pnlMap[key]) pnlMap[key] = { title: key, slug: p.slug || '', pnl: 0 };
-      pnlMap[key].pnl += Number(p.realizedPnl || 0);
-      if (!pnlMap[key].slug && p.slug) pnlMap[key].slug = p.slug;
-    }
-    const allPnl = Object.values(pnlMap).filter(p => p.pnl !== 0).sort((a, b) => b.pnl - a.pnl);
-    const wlHeader = ['Market', 'Total PnL', 'Link'];
+    /* --- Risk Sheet --- */
+    const riskRows = riskMetricRows(computeRiskMetrics(data));
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([['Metric', 'Value', 'Notes'], ...riskRows]), 'Risk');
+
+    /* --- Categories Sheet --- */
+    const categoryHeader = ['Category', 'Positions', 'Capital Deployed', 'PnL', 'Return %', 'Win Rate %', 'Top Winner', 'Top Loser'];
+    const categoryData = categoryStats(data.positions || [], data.closedPositions || []).map(c => [
+      c.name,
+      c.count,
+      Number(c.capital.toFixed(2)),
+      Number(c.pnl.toFixed(2)),
+      Number((c.returnPct * 100).toFixed(1)),
+      c.winRate == null ? '' : Number((c.winRate * 100).toFixed(1)),
+      c.best ? c.best.title : '',
+      c.worst ? c.worst.title : '',
+    ]);
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([categoryHeader, ...categoryData]), 'Categories');
+
+    /* --- Winners & Losers Sheet --- */
+    const allPnl = marketPnlTotals(data.positions || [], inDateRange(data.closedPositions));
+    const wlHeader = ['Market', ...walletHeader, 'Total PnL', 'Link'];
     const wlData = allPnl.map(p => [
       p.title,
+      ...(isMultiWallet() ? [p.wallet || ''] : []),
       Number(p.pnl.toFixed(2)),
-      p.slug ? polymarketBase + p.slug : '',
+      p.slug ? POLYMARKET_EVENT_URL + p.slug : '',
     ]);
     const wlSheet = XLSX.utils.aoa_to_sheet([wlHeader, ...wlData]);
     XLSX.utils.book_append_sheet(wb, wlSheet, 'Winners & Losers');
 
+    /* --- Income Sheet --- */
+    const { months: incomeMonths } = incomeBreakdown(inDateRange(data.activity));
+    const incomeHeader = ['Month', ...INCOME_TYPES.map(type => INCOME_LABELS[type]), 'Total'];
+    const incomeData = Object.keys(incomeMonths).sort().map(month => {
+      const amounts = INCOME_TYPES.map(type => Number(incomeMonths[month][type].toFixed(2)));
+      return [month, ...amounts, Number(amounts.reduce((s, v) => s + v, 0).toFixed(2))];
+    });
+    const incomeTotals = ['Total', ...INCOME_TYPES.map(type => Number(m.incomeByType[type].toFixed(2))), Number(m.income.toFixed(2))];
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([incomeHeader, ...incomeData, incomeTotals]), 'Income');
+
     /* --- Transaction History Sheet --- */
-    const activity = lastData.activity || [];
+    const activity = inDateRange(data.activity);
     if (activity.length) {
-      const actHeader = ['Date', 'Time', 'Type', 'Side', 'Title', 'Outcome', 'Size', 'Price', 'USDC Value', 'Link'];
+      const actHeader = ['Date', 'Time', 'Type', 'Side', 'Title', ...walletHeader, 'Outcome', 'Size', 'Price', 'USDC Value', 'Link'];
       const actData = activity.map(ev => {
         const ts = ev.timestamp ? new Date(ev.timestamp * 1000) : null;
         const type = ev.type || 'TRADE';
@@ -593,18 +2400,36 @@
           type.charAt(0) + type.slice(1).toLowerCase().replace('_', ' '),
           ev.side || '',
           ev.title || 'Unknown',
+          ...walletCell(ev),
           ev.outcome || '',
           Number(ev.size || 0),
           Number(ev.price || 0),
           Number(ev.usdcSize || 0),
-          (ev.slug || ev.eventSlug) ? polymarketBase + (ev.slug || ev.eventSlug) : '',
+          (ev.slug || ev.eventSlug) ? POLYMARKET_EVENT_URL + (ev.slug || ev.eventSlug) : '',
         ];
       });
       const actSheet = XLSX.utils.aoa_to_sheet([actHeader, ...actData]);
       XLSX.utils.book_append_sheet(wb, actSheet, 'Transaction History');
     }
 
-    const filename = 'polyfolio-' + (addr.slice(0, 10) || 'report') + '.xlsx';
+    /* --- Wallets Sheet --- */
+    if (isMultiWallet()) {
+      const walletSheetHeader = ['Wallet', 'Portfolio Value', 'Realized PnL', 'Unrealized PnL', 'Return %', 'Win Rate', 'Active', 'Closed', 'Rank'];
+      const walletSheetData = currentWallets.filter(a => data.walletStatus[a]).map(address => {
+        const wm = computeMetrics(filterByWallets(data, [address]));
+        return [address, wm.totalValue, wm.realizedPnl, wm.unrealizedPnl, wm.returnPct == null ? '' : Number((wm.returnPct * 100).toFixed(1)),
+          Number((wm.winRate * 100).toFixed(1)), wm.activeCount, wm.closedCount, wm.rank || ''];
+      });
+      XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([walletSheetHeader, ...walletSheetData]), 'Wallets');
+    }
+
+    /* --- Tax Sheet (year picked in the download menu) --- */
+    if (taxYear == null) renderTaxYearOptions();
+    if (taxYear != null) {
+      XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(taxReportRows(taxReport(data, taxYear))), 'Tax ' + taxYear);
+    }
+
+    const filename = exportBaseName() + '.xlsx';
     XLSX.writeFile(wb, filename);
   }
 
@@ -614,6 +2439,15 @@
     chartInstances = [];
   }
 
+  /** Destroy whatever chart currently owns a canvas so it can be redrawn. */
+  function releaseCanvas(canvas) {
+    chartInstances = chartInstances.filter(c => {
+      if (c.canvas !== canvas) return true;
+      c.destroy();
+      return false;
+    });
+  }
+
   function chartDefaults() {
     Chart.defaults.color = getCSSVar('--chart-label');
     Chart.defaults.borderColor = getCSSVar('--border');
@@ -642,13 +2476,15 @@
   }
 
   function renderAllocationByPosition(positions) {
+    releaseCanvas($('#chart-alloc-position'));
     const ctx = $('#chart-alloc-position').getContext('2d');
     const chartBorder = getCSSVar('--chart-border');
 
     /* Build items with both current value and cost basis */
     const sortedCurrent = [...positions]
       .map(p => {
-        const full = (p.title || 'Unknown') + (p.outcome ? ` (${p.outcome})` : '');
+        const walletSuffix = isMultiWallet() ? ' \u00B7 ' + walletTag(p.sourceWallet) : '';
+        const full = (p.title || 'Unknown') + (p.outcome ? ` (${p.outcome})` : '') + walletSuffix;
         const cv = Number(p.currentValue || 0);
         const cb = cv - Number(p.cashPnl || 0);
         return {
@@ -888,28 +2724,161 @@
     });
   }
 
+  /**
+   * Combine active (cashPnl) and closed (realizedPnl) PnL per market title,
+   * kept apart per wallet when several are merged. Sorted best first.
+   */
+  function marketPnlTotals(positions, closedPositions) {
+    const pnlMap = {};
+    const add = (p, pnl) => {
+      const title = p.title || 'Unknown';
+      const wallet = isMultiWallet() ? p.sourceWallet || '' : '';
+      const key = title + '|' + wallet;
+      if (!pnlMap[key]) pnlMap[key] = { title, wallet, slug: p.slug || null, pnl: 0 };
+      pnlMap[key].pnl += pnl;
+      if (!pnlMap[key].slug && p.slug) pnlMap[key].slug = p.slug;
+    };
+    for (const p of positions) add(p, Number(p.cashPnl || 0));
+    for (const p of closedPositions) add(p, Number(p.realizedPnl || 0));
+    return Object.values(pnlMap).filter(p => p.pnl !== 0).sort((a, b) => b.pnl - a.pnl);
+  }
+
+  function barTooltipTitle(p) {
+    return p.wallet ? [p.title, walletTag(p.wallet)] : p.title;
+  }
+
+  /** Short bar-chart label; grouped views append the wallet tag. */
+  function barLabel(p) {
+    if (!p.wallet) return (p.title || '').slice(0, 22);
+    return (p.title || '').slice(0, 14) + ' \u00B7 ' + p.wallet.slice(0, 6);
+  }
+
+  /* ---------- CATEGORIES ---------- */
+  /*
+   * Data API rows carry no category, so event tags are looked up on the
+   * Gamma API by event slug, in batches, and kept for the session. A
+   * position's category is its event's first meaningful tag. The same
+   * lookup notes each event's open markets for exposure netting.
+   */
+  const CATEGORY_BATCH = 20;
+  const UNCATEGORIZED = 'Uncategorized';
+  /* Tags Gamma puts on many events that say nothing about the subject */
+  const GENERIC_TAGS = ['All', 'Featured', 'Hide From New', 'Recurring'];
+  const eventCategories = {};
+  /* event slug → condition ids of its open markets, null when Gamma listed none */
+  const eventConditions = {};
+  let categoryRequest = null;
+
+  function categoryOf(p) {
+    return eventCategories[p.eventSlug] || UNCATEGORIZED;
+  }
+
+  /** Fetch categories for any event slugs not seen yet; a failed batch is tried again on the next call. */
+  async function loadEventCategories(rows, signal) {
+    const missing = [...new Set(rows.map(p => p.eventSlug).filter(Boolean))].filter(slug => !(slug in eventCategories));
+    for (let i = 0; i < missing.length; i += CATEGORY_BATCH) {
+      const batch = missing.slice(i, i + CATEGORY_BATCH);
+      let events;
+      try {
+        events = unwrapArray(await fetchJSON('/events?' + batch.map(slug => 'slug=' + encodeURIComponent(slug)).join('&'), { signal, api: 'gamma' })) || [];
+      } catch (err) {
+        if (signal && signal.aborted) throw err;
+        continue;
+      }
+      batch.forEach(slug => { eventCategories[slug] = null; eventConditions[slug] = null; });
+      events.forEach(ev => {
+        const tag = (ev.tags || []).map(t => t && t.label).find(label => label && !GENERIC_TAGS.includes(label));
+        if (!ev.slug) return;
+        eventCategories[ev.slug] = tag || null;
+        if (Array.isArray(ev.markets) && ev.markets.length) {
+          eventConditions[ev.slug] = ev.markets.filter(m => m && m.conditionId && !m.closed).map(m => m.conditionId);
+        }
+      });
+    }
+  }
+
+  /**
+   * Per-category totals over active (cashPnl, initialValue) and closed
+   * (realizedPnl, totalBought × avgPrice) positions, best PnL first.
+   */
+  function categoryStats(positions, closedPositions) {
+    const map = {};
+    const entry = name => map[name] || (map[name] = { name, pnl: 0, capital: 0, count: 0, wins: 0, decided: 0, best: null, worst: null });
+    const track = (c, p, pnl) => {
+      if (pnl > 0 && (!c.best || pnl > c.best.pnl)) c.best = { title: p.title || 'Unknown', pnl };
+      if (pnl < 0 && (!c.worst || pnl < c.worst.pnl)) c.worst = { title: p.title || 'Unknown', pnl };
+    };
+    positions.forEach(p => {
+      const c = entry(categoryOf(p));
+      const pnl = Number(p.cashPnl || 0);
+      c.pnl += pnl;
+      c.capital += Number(p.initialValue || Number(p.size || 0) * Number(p.avgPrice || 0));
+      c.count++;
+      track(c, p, pnl);
+    });
+    closedPositions.forEach(p => {
+      const c = entry(categoryOf(p));
+      const pnl = Number(p.realizedPnl || 0);
+      c.pnl += pnl;
+      c.capital += Number(p.totalBought || 0) * Number(p.avgPrice || 0);
+      c.count++;
+      if (pnl !== 0) c.decided++;
+      if (pnl > 0) c.wins++;
+      track(c, p, pnl);
+    });
+    return Object.values(map)
+      .map(c => ({ ...c, winRate: c.decided ? c.wins / c.decided : null, returnPct: c.capital > 0 ? c.pnl / c.capital : 0 }))
+      .sort((a, b) => b.pnl - a.pnl);
+  }
+
+  /**
+   * Category table. Renders from whatever categories are known, then
+   * fetches the missing ones and redraws if the view has not changed.
+   */
+  function renderCategoryPanel(data, signal, lookup = true) {
+    const tbody = $('#category-tbody');
+    const rows = data.positions.concat(data.closedPositions);
+    const stats = categoryStats(data.positions, data.closedPositions);
+    const maxAbs = Math.max(1, ...stats.map(c => Math.abs(c.pnl)));
+    $('#category-empty').classList.toggle('hidden', stats.length > 0);
+
+    tbody.innerHTML = stats.map(c => {
+      const width = (Math.abs(c.pnl) / maxAbs * 100).toFixed(1);
+      const barClass = c.pnl >= 0 ? 'category-bar-win' : 'category-bar-loss';
+      const best = c.best ? `<span class="pnl-positive" title="${escapeHTML(c.best.title)}">${escapeHTML(c.best.title)}</span>` : '—';
+      const worst = c.worst ? `<span class="pnl-negative" title="${escapeHTML(c.worst.title)}">${escapeHTML(c.worst.title)}</span>` : '—';
+      return `<tr>
+        <td class="td-title">${escapeHTML(c.name)}</td>
+        <td class="td-num">${c.count}</td>
+        <td class="td-num">${formatUSD(c.capital)}</td>
+        <td class="td-num ${pnlClass(c.pnl)}">${formatUSD(c.pnl)}<span class="category-bar ${barClass}" style="width:${width}%"></span></td>
+        <td class="td-num ${pnlClass(c.returnPct)}">${formatPct(c.returnPct)}</td>
+        <td class="td-num">${c.winRate == null ? '—' : (c.winRate * 100).toFixed(1) + '%'}</td>
+        <td class="td-market">${best}</td>
+        <td class="td-market">${worst}</td>
+      </tr>`;
+    }).join('');
+
+    const needed = rows.some(p => p.eventSlug && !(p.eventSlug in eventCategories));
+    if (!needed || !lookup) return;
+    const request = loadEventCategories(rows, signal);
+    categoryRequest = request;
+    request.then(() => {
+      if (categoryRequest !== request || (signal && signal.aborted) || !lastData) return;
+      const view = getViewData();
+      /* No second lookup here, or a failing batch would be retried in a loop */
+      renderCategoryPanel(view, signal, false);
+      renderCalibration(view);
+      renderExposurePanel(view);
+    }).catch(() => {});
+  }
+
   function renderWinnersLosers(positions, closedPositions) {
     const greenColor = getCSSVar('--green');
     const redColor = getCSSVar('--red');
     const gridColor = getCSSVar('--chart-grid');
 
-    /* Combine active (cashPnl) and closed (realizedPnl), aggregate by market title */
-    const pnlMap = {};
-    for (const p of positions) {
-      const key = p.title || 'Unknown';
-      if (!pnlMap[key]) pnlMap[key] = { title: key, slug: p.slug || null, pnl: 0 };
-      pnlMap[key].pnl += Number(p.cashPnl || 0);
-      if (!pnlMap[key].slug && p.slug) pnlMap[key].slug = p.slug;
-    }
-    for (const p of closedPositions) {
-      const key = p.title || 'Unknown';
-      if (!pnlMap[key]) pnlMap[key] = { title: key, slug: p.slug || null, pnl: 0 };
-      pnlMap[key].pnl += Number(p.realizedPnl || 0);
-      if (!pnlMap[key].slug && p.slug) pnlMap[key].slug = p.slug;
-    }
-
-    const allPnl = Object.values(pnlMap).filter(p => p.pnl !== 0);
-    const sorted = allPnl.sort((a, b) => b.pnl - a.pnl);
+    const sorted = marketPnlTotals(positions, closedPositions);
 
     const winners = sorted.filter(p => p.pnl > 0).slice(0, 5);
     const losers = sorted.filter(p => p.pnl < 0).slice(-5).reverse();
@@ -979,6 +2948,9 @@
       canvas.addEventListener('mouseleave', () => { hoveredIdx = -1; canvas.style.cursor = 'default'; hideEmbedPopover(); });
     }
 
+    releaseCanvas($('#chart-winners'));
+    releaseCanvas($('#chart-losers'));
+
     /* Winners */
     const winnerSlugs = winners.map(p => p.slug);
     const ctxW = $('#chart-winners').getContext('2d');
@@ -986,7 +2958,7 @@
       type: 'bar',
       plugins: [labelUnderlinePlugin],
       data: {
-        labels: winners.map(p => (p.title || '').slice(0, 22)),
+        labels: winners.map(barLabel),
         datasets: [{
           data: winners.map(p => p.pnl),
           backgroundColor: greenColor,
@@ -1001,7 +2973,7 @@
         maintainAspectRatio: false,
         plugins: {
           legend: { display: false },
-          tooltip: { callbacks: { label: (ctx) => formatUSD(ctx.raw) } },
+          tooltip: { callbacks: { title: (items) => barTooltipTitle(winners[items[0].dataIndex]), label: (ctx) => formatUSD(ctx.raw) } },
         },
         scales: {
           x: {
@@ -1028,7 +3000,7 @@
       type: 'bar',
       plugins: [labelUnderlinePlugin],
       data: {
-        labels: losers.map(p => (p.title || '').slice(0, 22)),
+        labels: losers.map(barLabel),
         datasets: [{
           data: losers.map(p => p.pnl),
           backgroundColor: redColor,
@@ -1043,7 +3015,7 @@
         maintainAspectRatio: false,
         plugins: {
           legend: { display: false },
-          tooltip: { callbacks: { label: (ctx) => formatUSD(ctx.raw) } },
+          tooltip: { callbacks: { title: (items) => barTooltipTitle(losers[items[0].dataIndex]), label: (ctx) => formatUSD(ctx.raw) } },
         },
         scales: {
           x: {
@@ -1064,13 +3036,61 @@
     attachLabelHover(chartL, loserSlugs);
   }
 
+  /* ---------- TRADE VOLUME ---------- */
+  const VOLUME_GRANULARITY = {
+    day: { label: 'Daily', avg: 7, avgLabel: '7d Avg' },
+    week: { label: 'Weekly', avg: 4, avgLabel: '4w Avg' },
+    month: { label: 'Monthly', avg: 3, avgLabel: '3m Avg' },
+  };
+  /* Markets broken out individually in the per-market view; the rest are "Other" */
+  const VOLUME_TOP_MARKETS = 5;
+  let volumeGranularity = 'day';
+  let volumeByMarket = false;
+
+  /** UTC bucket (YYYY-MM-DD, Monday of the week, or YYYY-MM) for a timestamp. */
+  function volumeBucket(ms, granularity) {
+    const day = new Date(ms).toISOString().slice(0, 10);
+    if (granularity === 'month') return day.slice(0, 7);
+    if (granularity === 'week') {
+      const d = new Date(day + 'T00:00:00Z');
+      d.setUTCDate(d.getUTCDate() - (d.getUTCDay() + 6) % 7);
+      return d.toISOString().slice(0, 10);
+    }
+    return day;
+  }
+
+  /** Every bucket key from `first` to `last`, so quiet periods show as zero. */
+  function volumeBucketRange(first, last, granularity) {
+    const keys = [];
+    const d = new Date((granularity === 'month' ? first + '-01' : first) + 'T00:00:00Z');
+    for (let key = first; key <= last; key = volumeBucket(d.getTime(), granularity)) {
+      keys.push(key);
+      if (granularity === 'month') d.setUTCMonth(d.getUTCMonth() + 1);
+      else d.setUTCDate(d.getUTCDate() + (granularity === 'week' ? 7 : 1));
+    }
+    return keys;
+  }
+
+  function volumeBucketLabel(key, granularity) {
+    const dt = new Date((granularity === 'month' ? key + '-01' : key) + 'T00:00:00Z');
+    return granularity === 'month'
+      ? dt.toLocaleDateString('en-US', { month: 'short', year: 'numeric', timeZone: 'UTC' })
+      : dt.toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+  }
+
   function renderTradeVolume(trades) {
+    releaseCanvas($('#chart-volume'));
     const ctx = $('#chart-volume').getContext('2d');
     const amberColor = getCSSVar('--amber');
     const amberMuted = getCSSVar('--amber-muted');
     const gridColor = getCSSVar('--chart-grid');
     const gridLightColor = getCSSVar('--chart-grid-light');
 
+    document.querySelectorAll('.volume-granularity-btn[data-granularity]').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.granularity === volumeGranularity);
+    });
+    $('#volume-market-toggle').classList.toggle('active', volumeByMarket);
+
     if (!trades.length) {
       const chart = new Chart(ctx, {
         type: 'line',
@@ -1081,60 +3101,81 @@
       return;
     }
 
-    /* Bucket trades by day — notional volume (size * price) */
-    const dayMap = {};
+    /* Notional volume (size * price) and trade counts per bucket, side, market and wallet */
+    const emptyBucket = () => ({ BUY: 0, SELL: 0, buys: 0, sells: 0, markets: {}, wallets: {} });
+    const buckets = {};
+    const marketTotals = {};
     trades.forEach(t => {
-      const d = new Date(t.timestamp || t.createdAt || 0);
-      const key = d.toISOString().slice(0, 10);
-      if (!dayMap[key]) dayMap[key] = 0;
-      dayMap[key] += Math.abs(Number(t.size || 0) * Number(t.price || 0));
+      const ms = toMs(t.timestamp != null ? t.timestamp : t.createdAt);
+      if (isNaN(ms)) return;
+      const key = volumeBucket(ms, volumeGranularity);
+      const notional = Math.abs(Number(t.size || 0) * Number(t.price || 0));
+      const side = t.side === 'SELL' ? 'SELL' : 'BUY';
+      const market = t.title || 'Unknown';
+      const b = buckets[key] = buckets[key] || emptyBucket();
+      b[side] += notional;
+      if (side === 'BUY') b.buys++; else b.sells++;
+      b.markets[market] = (b.markets[market] || 0) + notional;
+      b.wallets[t.sourceWallet] = (b.wallets[t.sourceWallet] || 0) + notional;
+      marketTotals[market] = (marketTotals[market] || 0) + notional;
     });
 
-    const sortedDays = Object.keys(dayMap).sort();
-    const values = sortedDays.map(d => dayMap[d]);
-
-    /* 7-day rolling average */
-    const ma7 = values.map((_, i) => {
-      const window = values.slice(Math.max(0, i - 6), i + 1);
+    const seen = Object.keys(buckets).sort();
+    const keys = seen.length ? volumeBucketRange(seen[0], seen[seen.length - 1], volumeGranularity) : [];
+    keys.forEach(k => { buckets[k] = buckets[k] || emptyBucket(); });
+    const totals = keys.map(k => buckets[k].BUY + buckets[k].SELL);
+    const { avg, avgLabel } = VOLUME_GRANULARITY[volumeGranularity];
+    const rolling = totals.map((_, i) => {
+      const window = totals.slice(Math.max(0, i - avg + 1), i + 1);
       return window.reduce((s, v) => s + v, 0) / window.length;
     });
 
-    const chart = new Chart(ctx, {
+    const bar = (label, data, color) => ({
+      type: 'bar',
+      label,
+      data,
+      backgroundColor: color,
+      borderRadius: 2,
+      stack: 'volume',
+      order: 2,
+    });
+    let datasets;
+    if (volumeByMarket) {
+      const top = Object.keys(marketTotals).sort((a, b) => marketTotals[b] - marketTotals[a]).slice(0, VOLUME_TOP_MARKETS);
+      datasets = top.map((market, i) => bar(market, keys.map(k => buckets[k].markets[market] || 0), CHART_COLORS[i % CHART_COLORS.length] + 'CC'));
+      const other = keys.map((k, i) => totals[i] - top.reduce((s, market) => s + (buckets[k].markets[market] || 0), 0));
+      if (other.some(v => v > 0.005)) datasets.push(bar('Other', other, getCSSVar('--text-muted') + '66'));
+    } else {
+      datasets = [
+        bar('Buys', keys.map(k => buckets[k].BUY), getCSSVar('--green') + 'BB'),
+        bar('Sells', keys.map(k => buckets[k].SELL), getCSSVar('--red') + 'BB'),
+      ];
+    }
+    datasets.push({
       type: 'line',
+      label: avgLabel,
+      data: rolling,
+      borderColor: amberMuted || amberColor,
+      backgroundColor: 'transparent',
+      fill: false,
+      tension: 0.4,
+      pointRadius: 0,
+      pointHoverRadius: 3,
+      borderWidth: 2,
+      borderDash: [6, 3],
+      order: 1,
+    });
+
+    const chart = new Chart(ctx, {
+      type: 'bar',
       data: {
-        labels: sortedDays.map(d => {
-          const dt = new Date(d + 'T00:00:00');
-          return dt.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
-        }),
-        datasets: [
-          {
-            label: 'Daily Volume',
-            data: values,
-            borderColor: amberColor,
-            backgroundColor: amberColor + '14',
-            fill: true,
-            tension: 0.3,
-            pointRadius: 0,
-            pointHoverRadius: 4,
-            borderWidth: 1.5,
-          },
-          {
-            label: '7d Avg',
-            data: ma7,
-            borderColor: amberMuted,
-            backgroundColor: 'transparent',
-            fill: false,
-            tension: 0.4,
-            pointRadius: 0,
-            pointHoverRadius: 3,
-            borderWidth: 2,
-            borderDash: [6, 3],
-          },
-        ],
+        labels: keys.map(k => volumeBucketLabel(k, volumeGranularity)),
+        datasets,
       },
       options: {
         responsive: true,
         maintainAspectRatio: false,
+        interaction: { mode: 'index', intersect: false },
         plugins: {
           legend: {
             display: true,
@@ -1143,16 +3184,38 @@
               padding: 16,
               font: { size: 10 },
               usePointStyle: true,
+              /* Market titles can be long */
+              generateLabels: (c) => Chart.defaults.plugins.legend.labels.generateLabels(c)
+                .map(l => ({ ...l, text: l.text.length > 32 ? l.text.slice(0, 31) + '…' : l.text })),
             },
           },
           tooltip: {
+            filter: (item) => item.raw > 0,
             callbacks: {
+              title: (items) => {
+                const key = keys[items[0].dataIndex];
+                return volumeGranularity === 'week' ? 'Week of ' + volumeBucketLabel(key, 'day') : items[0].label;
+              },
               label: (ctx) => ctx.dataset.label + ': ' + formatUSD(ctx.raw),
+              footer: (items) => {
+                if (!items.length) return '';
+                const b = buckets[keys[items[0].dataIndex]];
+                const lines = [
+                  `Total: ${formatUSD(b.BUY + b.SELL)}`,
+                  `${b.buys + b.sells} trade${b.buys + b.sells !== 1 ? 's' : ''} (${b.buys} buy${b.buys !== 1 ? 's' : ''}, ${b.sells} sell${b.sells !== 1 ? 's' : ''})`,
+                ];
+                /* Grouped views: which wallet traded in that period */
+                if (isMultiWallet()) {
+                  Object.keys(b.wallets).forEach(w => lines.push(walletTag(w) + ': ' + formatUSD(b.wallets[w])));
+                }
+                return lines;
+              },
             },
           },
         },
         scales: {
           x: {
+            stacked: true,
             grid: { color: gridLightColor },
             ticks: {
               maxTicksLimit: 12,
@@ -1160,6 +3223,7 @@
             },
           },
           y: {
+            stacked: true,
             grid: { color: gridColor },
             ticks: { callback: (v) => formatUSD(v) },
           },
@@ -1325,40 +3389,581 @@
         if (price) html += '<span class="tl-price">@ ' + price.toFixed(2) + '\u00A2</span>';
         if (usdcSize) html += '<span class="tl-usdc">' + formatUSD(usdcSize) + '</span>';
         if (time) html += '<span class="tl-time">' + time + '</span>';
+        if (isMultiWallet() && ev.sourceWallet) {
+          html += '<span class="tl-wallet"><span class="wallet-swatch" style="background:' + walletColor(ev.sourceWallet) + '"></span>' + escapeHTML(walletTag(ev.sourceWallet)) + '</span>';
+        }
         html += '</div>';
 
-        html += '</div></div>';
-      });
+        html += '</div></div>';
+      });
+
+      html += '</div></div>';
+    });
+
+    container.innerHTML = html;
+
+    /* Embed hover on linked titles */
+    container.querySelectorAll('.tl-title-link').forEach(el => {
+      el.addEventListener('mouseenter', () => {
+        const slug = el.dataset.slug;
+        if (slug) {
+          clearTimeout(embedTimeout);
+          showEmbedPopover(el, slug);
+        }
+      });
+      el.addEventListener('mouseleave', () => { hideEmbedPopover(); });
+    });
+  }
+
+  function renderTimeline(activity) {
+    const container = $('#activity-timeline');
+    const filterBar = $('#tl-filters');
+    if (!activity || !activity.length) {
+      filterBar.innerHTML = '';
+      container.innerHTML = '<p class="empty-state">No activity found.</p>';
+      return;
+    }
+    timelineActivity = activity;
+    buildTimelineFilters(activity);
+    renderTimelineEvents();
+  }
+
+  /* ---------- EQUITY CURVE ---------- */
+  /**
+   * Daily series for the equity chart:
+   *   realized — closed positions' realized PnL on their close day, plus
+   *              rewards, rebates and yield as they were paid
+   *   invested — net cash put into markets (buys and splits less sells,
+   *              merges and redeems). The Data API exposes no wallet
+   *              transfers, so deposits themselves are unknown.
+   *   value    — open positions marked at their last traded price, with
+   *              the live (or as-of) book value as the final point
+   * `drivers` holds, per day, what moved realized PnL; `paidIn`, `paidOut`
+   * and `income` are that day's cash flows (used for return calculations).
+   */
+  function buildEquitySeries(data) {
+    const dayOf = ms => new Date(ms).toISOString().slice(0, 10);
+    const days = {};
+    const entry = key => days[key] || (days[key] = { realized: 0, drivers: [], invested: null, value: null, paidIn: 0, paidOut: 0, income: 0 });
+
+    (data.closedPositions || []).forEach(p => {
+      const ms = toMs(p.timestamp);
+      const pnl = Number(p.realizedPnl || 0);
+      if (isNaN(ms) || !pnl) return;
+      const e = entry(dayOf(ms));
+      e.realized += pnl;
+      e.drivers.push({ label: (p.title || 'Unknown') + (p.outcome ? ' (' + p.outcome + ')' : ''), pnl });
+    });
+    (data.activity || []).filter(ev => INCOME_TYPES.includes(ev.type)).forEach(ev => {
+      const ms = toMs(ev.timestamp);
+      const amount = Number(ev.usdcSize || 0);
+      if (isNaN(ms) || !amount) return;
+      const e = entry(dayOf(ms));
+      e.realized += amount;
+      e.income += amount;
+      const label = TL_TYPE_LABELS[ev.type] || ev.type;
+      const existing = e.drivers.find(d => d.label === label);
+      if (existing) existing.pnl += amount;
+      else e.drivers.push({ label, pnl: amount });
+    });
+
+    /*
+     * Replay for cash flows and marks. Each day is snapshotted after its last
+     * event, i.e. before the next day's first event touches the books.
+     */
+    let invested = 0;
+    let pendingDay = null;
+    const snapshot = (books) => {
+      if (!pendingDay) return;
+      const e = entry(pendingDay);
+      e.invested = invested;
+      e.value = booksValue(books);
+    };
+    const cutoff = data.asOf != null ? data.asOf : Infinity;
+    const { books: finalBooks } = replayBooks(data, cutoff, (ev, kind) => {
+      const day = dayOf(toMs(ev.timestamp));
+      pendingDay = day;
+      const usdc = kind === 'TRADE' ? Number(ev.size || 0) * Number(ev.price || 0) : Number(ev.usdcSize || 0);
+      const e = entry(day);
+      if ((kind === 'TRADE' && ev.side === 'BUY') || kind === 'SPLIT') {
+        invested += usdc;
+        e.paidIn += usdc;
+      } else if (kind === 'TRADE' || kind === 'MERGE' || kind === 'REDEEM') {
+        invested -= usdc;
+        e.paidOut += usdc;
+      }
+    }, (ev, kind, books) => {
+      if (pendingDay && dayOf(toMs(ev.timestamp)) !== pendingDay) snapshot(books);
+    });
+    snapshot(finalBooks);
+
+    /* Close with the book as it stands now (or at the as-of date) */
+    const endKey = dayOf(data.asOf != null ? data.asOf : Date.now());
+    entry(endKey).value = (data.positions || []).reduce((sum, p) => sum + Number(p.currentValue || 0), 0);
+    if (entry(endKey).invested == null) entry(endKey).invested = invested;
+
+    const keys = Object.keys(days).sort();
+    let realized = 0;
+    let lastInvested = 0;
+    let lastValue = 0;
+    return {
+      days: keys,
+      realized: keys.map(k => (realized += days[k].realized)),
+      invested: keys.map(k => (lastInvested = days[k].invested != null ? days[k].invested : lastInvested)),
+      value: keys.map(k => (lastValue = days[k].value != null ? days[k].value : lastValue)),
+      drivers: keys.map(k => days[k].drivers.sort((a, b) => Math.abs(b.pnl) - Math.abs(a.pnl))),
+      paidIn: keys.map(k => days[k].paidIn),
+      paidOut: keys.map(k => days[k].paidOut),
+      income: keys.map(k => days[k].income),
+    };
+  }
+
+  function renderEquityCurve(data) {
+    releaseCanvas($('#chart-equity'));
+    const ctx = $('#chart-equity').getContext('2d');
+    const gridColor = getCSSVar('--chart-grid');
+    const gridLightColor = getCSSVar('--chart-grid-light');
+    const series = buildEquitySeries(data);
+
+    if (!series.days.length) {
+      const chart = new Chart(ctx, {
+        type: 'line',
+        data: { labels: ['No data'], datasets: [{ data: [0] }] },
+        options: { responsive: true, maintainAspectRatio: false },
+      });
+      chartInstances.push(chart);
+      return;
+    }
+
+    const line = (label, values, color, extra) => ({
+      label,
+      data: values,
+      borderColor: color,
+      backgroundColor: 'transparent',
+      fill: false,
+      tension: 0,
+      pointRadius: 0,
+      pointHoverRadius: 4,
+      borderWidth: 1.5,
+      ...extra,
+    });
+
+    const chart = new Chart(ctx, {
+      type: 'line',
+      data: {
+        labels: series.days.map(d => new Date(d + 'T00:00:00').toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: '2-digit' })),
+        datasets: [
+          line('Cumulative Realized PnL', series.realized, getCSSVar('--green'), { stepped: true, borderWidth: 2 }),
+          line('Portfolio Value', series.value, getCSSVar('--amber')),
+          line('Net Invested', series.invested, getCSSVar('--text-muted'), { borderDash: [6, 3] }),
+        ],
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        interaction: { mode: 'index', intersect: false },
+        plugins: {
+          legend: {
+            display: true,
+            labels: { boxWidth: 12, padding: 16, font: { size: 10 }, usePointStyle: true },
+          },
+          tooltip: {
+            callbacks: {
+              label: (ctx) => ctx.dataset.label + ': ' + formatUSD(ctx.raw),
+              /* Markets behind that day's change in realized PnL */
+              footer: (items) => {
+                const drivers = items.length ? series.drivers[items[0].dataIndex] : [];
+                if (!drivers.length) return '';
+                const lines = drivers.slice(0, 4).map(d => (d.pnl >= 0 ? '▲ ' : '▼ ') + d.label.slice(0, 40) + ': ' + formatUSD(d.pnl));
+                if (drivers.length > 4) lines.push('+' + (drivers.length - 4) + ' more');
+                return lines;
+              },
+            },
+          },
+        },
+        scales: {
+          x: { grid: { color: gridLightColor }, ticks: { maxTicksLimit: 12, font: { size: 10 } } },
+          y: { grid: { color: gridColor }, ticks: { callback: (v) => formatUSD(v) } },
+        },
+      },
+    });
+    chartInstances.push(chart);
+  }
+
+  /* ---------- CALIBRATION ---------- */
+  /*
+   * Entry price is the market's implied probability when the position was
+   * opened. Resolved closed positions (settled at 0 or 1) tell whether
+   * that outcome happened, so bucketing by entry price shows how often
+   * each price level actually won.
+   */
+  const CALIBRATION_BUCKETS = 10;
+  const CALIBRATION_WINDOWS = { all: null, '30d': 30, '90d': 90, '365d': 365 };
+  let calibrationFilter = { category: 'all', window: 'all' };
+
+  /** Resolved closed positions as { p, won, ts, category }. */
+  function calibrationSamples(closedPositions) {
+    return closedPositions
+      .filter(p => {
+        const cur = Number(p.curPrice);
+        const price = Number(p.avgPrice);
+        return (cur === 0 || cur === 1) && price > 0 && price < 1;
+      })
+      .map(p => ({ p: Number(p.avgPrice), won: Number(p.curPrice) === 1 ? 1 : 0, ts: toMs(p.timestamp), category: categoryOf(p) }));
+  }
+
+  function computeCalibration(samples) {
+    const buckets = Array.from({ length: CALIBRATION_BUCKETS }, (_, i) => ({
+      from: i / CALIBRATION_BUCKETS, to: (i + 1) / CALIBRATION_BUCKETS, count: 0, wins: 0, priceSum: 0,
+    }));
+    let brier = 0;
+    let logLoss = 0;
+    samples.forEach(s => {
+      const b = buckets[Math.min(CALIBRATION_BUCKETS - 1, Math.floor(s.p * CALIBRATION_BUCKETS))];
+      b.count++;
+      b.wins += s.won;
+      b.priceSum += s.p;
+      brier += (s.p - s.won) ** 2;
+      const p = Math.min(Math.max(s.p, 0.001), 0.999);
+      logLoss -= s.won ? Math.log(p) : Math.log(1 - p);
+    });
+    const n = samples.length;
+    return {
+      n,
+      brier: n ? brier / n : null,
+      logLoss: n ? logLoss / n : null,
+      buckets: buckets.map(b => ({
+        ...b,
+        avgPrice: b.count ? b.priceSum / b.count : null,
+        winRate: b.count ? b.wins / b.count : null,
+      })),
+    };
+  }
+
+  function renderCalibrationFilters(samples) {
+    const select = $('#calibration-category');
+    const categories = [...new Set(samples.map(s => s.category))].sort();
+    if (calibrationFilter.category !== 'all' && !categories.includes(calibrationFilter.category)) calibrationFilter.category = 'all';
+    select.innerHTML = '<option value="all">All categories</option>' +
+      categories.map(c => `<option value="${escapeHTML(c)}">${escapeHTML(c)}</option>`).join('');
+    select.value = calibrationFilter.category;
+    $('#calibration-window').value = calibrationFilter.window;
+  }
+
+  function renderCalibration(data) {
+    releaseCanvas($('#chart-calibration'));
+    const all = calibrationSamples(data.closedPositions || []);
+    renderCalibrationFilters(all);
+
+    const days = CALIBRATION_WINDOWS[calibrationFilter.window];
+    const end = data.asOf != null ? data.asOf : Date.now();
+    const samples = all.filter(s =>
+      (calibrationFilter.category === 'all' || s.category === calibrationFilter.category) &&
+      (!days || s.ts >= end - days * 86400000));
+    const cal = computeCalibration(samples);
+
+    $('#calibration-n').textContent = cal.n.toLocaleString();
+    $('#calibration-brier').textContent = cal.brier == null ? '—' : cal.brier.toFixed(3);
+    $('#calibration-logloss').textContent = cal.logLoss == null ? '—' : cal.logLoss.toFixed(3);
+
+    $('#calibration-tbody').innerHTML = cal.buckets.filter(b => b.count).map(b => {
+      const edge = b.winRate - b.avgPrice;
+      return `<tr>
+        <td>${Math.round(b.from * 100)}–${Math.round(b.to * 100)}¢</td>
+        <td class="td-num">${b.count}</td>
+        <td class="td-num">${(b.avgPrice * 100).toFixed(1)}¢</td>
+        <td class="td-num">${(b.winRate * 100).toFixed(1)}%</td>
+        <td class="td-num ${pnlClass(edge)}">${formatPct(edge)}</td>
+      </tr>`;
+    }).join('');
+    $('#calibration-empty').classList.toggle('hidden', cal.n > 0);
+
+    const accent = getCSSVar('--accent');
+    const muted = getCSSVar('--text-muted');
+    const gridColor = getCSSVar('--chart-grid');
+    const points = cal.buckets.filter(b => b.count).map(b => ({ x: b.avgPrice, y: b.winRate, count: b.count }));
+    const maxCount = Math.max(1, ...points.map(pt => pt.count));
+
+    const chart = new Chart($('#chart-calibration').getContext('2d'), {
+      type: 'scatter',
+      data: {
+        datasets: [
+          {
+            label: 'Win frequency',
+            data: points,
+            backgroundColor: accent + 'AA',
+            borderColor: accent,
+            pointRadius: points.map(pt => 4 + 8 * Math.sqrt(pt.count / maxCount)),
+            pointHoverRadius: points.map(pt => 6 + 8 * Math.sqrt(pt.count / maxCount)),
+            showLine: true,
+            borderWidth: 1.5,
+          },
+          {
+            label: 'Perfect calibration',
+            data: [{ x: 0, y: 0 }, { x: 1, y: 1 }],
+            borderColor: muted,
+            borderDash: [6, 3],
+            borderWidth: 1,
+            pointRadius: 0,
+            showLine: true,
+          },
+        ],
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        plugins: {
+          legend: { display: true, labels: { boxWidth: 12, padding: 16, font: { size: 10 }, usePointStyle: true } },
+          tooltip: {
+            filter: (item) => item.datasetIndex === 0,
+            callbacks: {
+              label: (ctx) => {
+                const pt = ctx.raw;
+                return `Entry ${(pt.x * 100).toFixed(1)}¢ → won ${(pt.y * 100).toFixed(1)}% (${pt.count} positions)`;
+              },
+            },
+          },
+        },
+        scales: {
+          x: {
+            min: 0, max: 1,
+            title: { display: true, text: 'Entry price (implied probability)', font: { size: 10 } },
+            grid: { color: gridColor },
+            ticks: { callback: (v) => Math.round(v * 100) + '¢' },
+          },
+          y: {
+            min: 0, max: 1,
+            title: { display: true, text: 'Resolved as win', font: { size: 10 } },
+            grid: { color: gridColor },
+            ticks: { callback: (v) => Math.round(v * 100) + '%' },
+          },
+        },
+      },
+    });
+    chartInstances.push(chart);
+  }
+
+  /* ---------- HOLDING PERIODS ---------- */
+  const DAY_MS = 86400000;
+  const HOLD_BUCKETS = [
+    { label: '< 1 day', max: DAY_MS },
+    { label: '1–7 days', max: 7 * DAY_MS },
+    { label: '1–4 weeks', max: 28 * DAY_MS },
+    { label: '1–3 months', max: 91 * DAY_MS },
+    { label: '3–12 months', max: 365 * DAY_MS },
+    { label: '1 year +', max: Infinity },
+  ];
+  /* Closed position row → ms between its first entry and its close */
+  let holdTimes = new WeakMap();
+
+  /** Earliest buy (or split) per wallet+asset and wallet+condition. */
+  function firstEntries(data) {
+    const activity = data.activity || [];
+    const trades = activity.some(a => a.type === 'TRADE') ? [] : (data.trades || []);
+    const entries = new Map();
+    const note = (key, ts) => {
+      if (!isNaN(ts) && !(entries.get(key) <= ts)) entries.set(key, ts);
+    };
+    activity.forEach(a => {
+      const wallet = a.sourceWallet || '';
+      if (a.type === 'TRADE' && a.side === 'BUY') note(wallet + '|' + a.asset, toMs(a.timestamp));
+      else if (a.type === 'SPLIT') note(wallet + '|' + a.conditionId, toMs(a.timestamp));
+    });
+    trades.forEach(t => {
+      if (t.side === 'BUY') note((t.sourceWallet || '') + '|' + t.asset, toMs(t.timestamp));
+    });
+    return entries;
+  }
+
+  /** Match every closed position to its first entry; rows without one stay unknown. */
+  function indexHoldingPeriods(data) {
+    const entries = firstEntries(data);
+    holdTimes = new WeakMap();
+    (data.closedPositions || []).forEach(p => {
+      const wallet = p.sourceWallet || '';
+      const opened = [entries.get(wallet + '|' + p.asset), entries.get(wallet + '|' + p.conditionId)]
+        .filter(ts => ts != null);
+      const closed = toMs(p.timestamp);
+      if (!opened.length || isNaN(closed)) return;
+      holdTimes.set(p, Math.max(0, closed - Math.min(...opened)));
+    });
+  }
+
+  function heldMs(p) {
+    const ms = holdTimes.get(p);
+    return ms == null ? null : ms;
+  }
+
+  function holdingStats(closedPositions) {
+    const buckets = HOLD_BUCKETS.map(b => ({ ...b, count: 0, pnl: 0, wins: 0 }));
+    const spans = [];
+    closedPositions.forEach(p => {
+      const ms = heldMs(p);
+      if (ms == null) return;
+      const pnl = Number(p.realizedPnl || 0);
+      const b = buckets.find(bk => ms < bk.max);
+      b.count++;
+      b.pnl += pnl;
+      if (pnl > 0) b.wins++;
+      spans.push(ms);
+    });
+    spans.sort((a, b) => a - b);
+    const mid = Math.floor(spans.length / 2);
+    return {
+      buckets,
+      matched: spans.length,
+      unmatched: closedPositions.length - spans.length,
+      median: spans.length ? (spans.length % 2 ? spans[mid] : (spans[mid - 1] + spans[mid]) / 2) : null,
+      mean: spans.length ? spans.reduce((s, v) => s + v, 0) / spans.length : null,
+    };
+  }
+
+  function renderHoldingPeriods(data) {
+    releaseCanvas($('#chart-holding'));
+    indexHoldingPeriods(data);
+    const stats = holdingStats(data.closedPositions || []);
+
+    $('#holding-median').textContent = formatDuration(stats.median);
+    $('#holding-mean').textContent = formatDuration(stats.mean);
+    $('#holding-unmatched').textContent = stats.unmatched.toLocaleString();
+    $('#holding-tbody').innerHTML = stats.buckets.filter(b => b.count).map(b => `<tr>
+        <td>${b.label}</td>
+        <td class="td-num">${b.count}</td>
+        <td class="td-num ${pnlClass(b.pnl)}">${formatUSD(b.pnl)}</td>
+        <td class="td-num ${pnlClass(b.pnl)}">${formatUSD(b.pnl / b.count)}</td>
+        <td class="td-num">${(b.wins / b.count * 100).toFixed(1)}%</td>
+      </tr>`).join('');
+    $('#holding-empty').classList.toggle('hidden', stats.matched > 0);
 
-      html += '</div></div>';
+    const gridColor = getCSSVar('--chart-grid');
+    const pnlColors = stats.buckets.map(b => getCSSVar(b.pnl >= 0 ? '--green' : '--red'));
+    const chart = new Chart($('#chart-holding').getContext('2d'), {
+      type: 'bar',
+      data: {
+        labels: stats.buckets.map(b => b.label),
+        datasets: [
+          {
+            label: 'Positions',
+            data: stats.buckets.map(b => b.count),
+            backgroundColor: getCSSVar('--accent') + 'AA',
+            borderRadius: 3,
+            yAxisID: 'y',
+          },
+          {
+            label: 'Realized PnL',
+            data: stats.buckets.map(b => b.pnl),
+            backgroundColor: pnlColors.map(c => c + '88'),
+            borderRadius: 3,
+            yAxisID: 'y1',
+          },
+        ],
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        plugins: {
+          legend: { display: true, labels: { boxWidth: 12, padding: 16, font: { size: 10 } } },
+          tooltip: {
+            callbacks: {
+              label: (ctx) => ctx.datasetIndex === 0
+                ? ` ${ctx.parsed.y} positions`
+                : ` ${formatUSD(ctx.parsed.y)} realized`,
+            },
+          },
+        },
+        scales: {
+          x: { grid: { display: false } },
+          y: { position: 'left', beginAtZero: true, grid: { color: gridColor }, ticks: { precision: 0 } },
+          y1: { position: 'right', grid: { display: false }, ticks: { callback: (v) => formatUSD(v) } },
+        },
+      },
     });
+    chartInstances.push(chart);
+  }
 
-    container.innerHTML = html;
+  /* ---------- INCOME ---------- */
+  /* Non-trading income: liquidity rewards, maker rebates and holding yield */
+  const INCOME_LABELS = { REWARD: 'Rewards', MAKER_REBATE: 'Maker rebates', YIELD: 'Yield' };
+  const INCOME_COLORS = { REWARD: '--accent', MAKER_REBATE: '--green', YIELD: '--amber' };
 
-    /* Embed hover on linked titles */
-    container.querySelectorAll('.tl-title-link').forEach(el => {
-      el.addEventListener('mouseenter', () => {
-        const slug = el.dataset.slug;
-        if (slug) {
-          clearTimeout(embedTimeout);
-          showEmbedPopover(el, slug);
-        }
-      });
-      el.addEventListener('mouseleave', () => { hideEmbedPopover(); });
+  /**
+   * Income totals per type and per month (YYYY-MM, local time). Every
+   * payout counts, including the dust-sized yields the timeline hides.
+   */
+  function incomeBreakdown(activity) {
+    const byType = Object.fromEntries(INCOME_TYPES.map(type => [type, 0]));
+    const months = {};
+    activity.filter(ev => INCOME_TYPES.includes(ev.type)).forEach(ev => {
+      const amount = Number(ev.usdcSize || 0);
+      const ms = toMs(ev.timestamp);
+      byType[ev.type] += amount;
+      if (isNaN(ms)) return;
+      const d = new Date(ms);
+      const month = d.getFullYear() + '-' + String(d.getMonth() + 1).padStart(2, '0');
+      if (!months[month]) months[month] = Object.fromEntries(INCOME_TYPES.map(type => [type, 0]));
+      months[month][ev.type] += amount;
     });
+    const total = INCOME_TYPES.reduce((s, type) => s + byType[type], 0);
+    return { total, byType, months };
   }
 
-  function renderTimeline(activity) {
-    const container = $('#activity-timeline');
-    const filterBar = $('#tl-filters');
-    if (!activity || !activity.length) {
-      filterBar.innerHTML = '';
-      container.innerHTML = '<p class="empty-state">No activity found.</p>';
-      return;
-    }
-    timelineActivity = activity;
-    buildTimelineFilters(activity);
-    renderTimelineEvents();
+  /** Income as a fraction of trading PnL plus income; null when that is not positive. */
+  function incomeShare(m) {
+    const totalPnl = m.realizedPnl + m.unrealizedPnl + m.income;
+    return totalPnl > 0 ? m.income / totalPnl : null;
+  }
+
+  function renderIncomePanel(data) {
+    releaseCanvas($('#chart-income'));
+    const m = computeMetrics(data);
+    const { byType, months } = incomeBreakdown(inDateRange(data.activity));
+    const share = incomeShare(m);
+
+    $('#income-stats').innerHTML = [
+      `<span>Total <strong class="${pnlClass(m.income)}">${formatUSD(m.income)}</strong></span>`,
+      `<span title="Income divided by realized PnL + unrealized PnL + income">Share of total PnL <strong>${share == null ? '—' : (share * 100).toFixed(1) + '%'}</strong></span>`,
+      ...INCOME_TYPES.map(type => `<span>${INCOME_LABELS[type]} <strong>${formatUSD(byType[type])}</strong></span>`),
+    ].join('');
+
+    const labels = Object.keys(months).sort();
+    $('#income-empty').classList.toggle('hidden', labels.length > 0);
+    $('#chart-income').parentElement.classList.toggle('hidden', !labels.length);
+    if (!labels.length) return;
+
+    const gridColor = getCSSVar('--chart-grid');
+    const chart = new Chart($('#chart-income').getContext('2d'), {
+      type: 'bar',
+      data: {
+        labels: labels.map(month => new Date(month + '-01T00:00:00').toLocaleDateString('en-US', { month: 'short', year: 'numeric' })),
+        datasets: INCOME_TYPES.map(type => ({
+          label: INCOME_LABELS[type],
+          data: labels.map(month => months[month][type]),
+          backgroundColor: getCSSVar(INCOME_COLORS[type]) + 'CC',
+          borderRadius: 2,
+          stack: 'income',
+        })),
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        plugins: {
+          legend: { display: true, labels: { boxWidth: 12, padding: 16, font: { size: 10 } } },
+          tooltip: {
+            mode: 'index',
+            intersect: false,
+            callbacks: {
+              label: (ctx) => ` ${ctx.dataset.label}: ${formatUSD(ctx.parsed.y)}`,
+              footer: (items) => 'Total: ' + formatUSD(items.reduce((s, item) => s + item.parsed.y, 0)),
+            },
+          },
+        },
+        scales: {
+          x: { stacked: true, grid: { display: false } },
+          y: { stacked: true, beginAtZero: true, grid: { color: gridColor }, ticks: { callback: (v) => formatUSD(v) } },
+        },
+      },
+    });
+    chartInstances.push(chart);
   }
 
   function renderAllCharts(data) {
@@ -1367,43 +3972,132 @@
     if (data.positions.length) {
       renderAllocationByPosition(data.positions);
     }
-    if (data.positions.length || data.closedPositions.length) {
-      renderWinnersLosers(data.positions, data.closedPositions);
+    const closed = inDateRange(data.closedPositions);
+    if (data.positions.length || closed.length) {
+      renderWinnersLosers(data.positions, closed);
     }
-    renderTimeline(data.activity);
-    renderTradeVolume(data.trades);
+    renderTimeline(inDateRange(data.activity));
+    renderTradeVolume(inDateRange(data.trades));
+    renderEquityCurve(data);
+    renderCalibration(data);
+    renderHoldingPeriods(data);
+    renderIncomePanel(data);
   }
 
   /* ---------- TABLES ---------- */
+  /** Wallet cell for the positions tables; CSS shows it only for groups. */
+  function walletCellHTML(p) {
+    const address = p.sourceWallet || '';
+    return `<td class="col-wallet" title="${escapeHTML(address)}"><span class="wallet-swatch" style="background:${walletColor(address)}"></span>${escapeHTML(walletTag(address))}</td>`;
+  }
+
+  /* Closed position row → 'resolved' or 'sold', when the history says which */
+  let exitTypes = new WeakMap();
+
+  /** Classify how each closed position ended: redeemed at settlement, or sold/merged before it. */
+  function indexExitTypes(data) {
+    const redeemed = new Set();
+    const sold = new Set();
+    const activity = data.activity || [];
+    activity.forEach(a => {
+      const wallet = a.sourceWallet || '';
+      if (a.type === 'REDEEM') redeemed.add(wallet + '|' + a.conditionId);
+      else if (a.type === 'MERGE') sold.add(wallet + '|' + a.conditionId);
+      else if ((a.type === 'TRADE' && a.side === 'SELL') || a.type === 'CONVERSION') sold.add(wallet + '|' + a.asset);
+    });
+    (activity.some(a => a.type === 'TRADE') ? [] : (data.trades || [])).forEach(t => {
+      if (t.side === 'SELL') sold.add((t.sourceWallet || '') + '|' + t.asset);
+    });
+    exitTypes = new WeakMap();
+    (data.closedPositions || []).forEach(p => {
+      const wallet = p.sourceWallet || '';
+      if (redeemed.has(wallet + '|' + p.conditionId)) exitTypes.set(p, 'resolved');
+      else if (sold.has(wallet + '|' + p.asset) || sold.has(wallet + '|' + p.conditionId)) exitTypes.set(p, 'sold');
+    });
+  }
+
+  /** Without history, a closed position marked at exactly 0 or 1 is taken as resolved. */
+  function exitType(p) {
+    const known = exitTypes.get(p);
+    if (known) return known;
+    const cur = Number(p.curPrice);
+    return cur === 0 || cur === 1 ? 'resolved' : 'sold';
+  }
+
+  const closedCostBasis = p => Number(p.totalBought || 0) * Number(p.avgPrice || 0);
+
+  /* Sort value and first-click direction for every sortable column; null values sink */
+  const TABLE_SORTS = {
+    active: {
+      title: [p => (p.title || '').toLowerCase(), 'asc'],
+      wallet: [p => walletTag(p.sourceWallet || '').toLowerCase(), 'asc'],
+      outcome: [p => (p.outcome || '').toLowerCase(), 'asc'],
+      size: [p => Number(p.size) || 0, 'desc'],
+      avgPrice: [p => Number(p.avgPrice) || 0, 'desc'],
+      curPrice: [p => Number(p.curPrice) || 0, 'desc'],
+      currentValue: [p => Number(p.currentValue) || 0, 'desc'],
+      cashPnl: [p => Number(p.cashPnl) || 0, 'desc'],
+      percentPnl: [p => Number(p.percentPnl) || 0, 'desc'],
+      endDate: [p => p.endDate ? new Date(p.endDate).getTime() || null : null, 'asc'],
+    },
+    closed: {
+      title: [p => (p.title || '').toLowerCase(), 'asc'],
+      wallet: [p => walletTag(p.sourceWallet || '').toLowerCase(), 'asc'],
+      outcome: [p => (p.outcome || '').toLowerCase(), 'asc'],
+      avgPrice: [p => Number(p.avgPrice) || 0, 'desc'],
+      totalBought: [p => Number(p.totalBought) || 0, 'desc'],
+      costBasis: [closedCostBasis, 'desc'],
+      realizedPnl: [p => Number(p.realizedPnl) || 0, 'desc'],
+      returnPct: [p => closedCostBasis(p) > 0 ? Number(p.realizedPnl || 0) / closedCostBasis(p) : 0, 'desc'],
+      held: [heldMs, 'desc'],
+      exit: [exitType, 'asc'],
+      timestamp: [p => p.timestamp ? toMs(p.timestamp) || null : null, 'desc'],
+    },
+  };
+
+  function sortTableRows(table, rows, sortKey, sortDir) {
+    const sort = TABLE_SORTS[table][sortKey];
+    if (!sort) return [...rows];
+    const sign = sortDir === 'asc' ? 1 : -1;
+    return rows
+      .map(p => [p, sort[0](p)])
+      .sort(([, a], [, b]) => {
+        if (a == null || b == null) return (a == null) - (b == null);
+        return sign * (typeof a === 'string' ? a.localeCompare(b) : a - b);
+      })
+      .map(([p]) => p);
+  }
+
+  /** Mark the sorted column header of a table. */
+  function renderSortHeaders(table, sortKey, sortDir) {
+    document.querySelectorAll(`#${table}-table th[data-sort]`).forEach(th => {
+      const sorted = th.dataset.sort === sortKey;
+      th.classList.toggle('sorted', sorted);
+      th.classList.toggle('sorted-asc', sorted && sortDir === 'asc');
+      if (sorted) th.setAttribute('aria-sort', sortDir === 'asc' ? 'ascending' : 'descending');
+      else th.removeAttribute('aria-sort');
+    });
+  }
+
   function renderActiveTable(positions, sortKey, sortDir) {
     const tbody = $('#active-tbody');
     const emptyEl = $('#active-empty');
     const countEl = $('#active-count');
+    renderSortHeaders('active', sortKey, sortDir);
+    const shown = filterTableRows('active', positions);
+    countEl.textContent = tableCountText(shown.length, positions.length);
 
-    if (!positions.length) {
+    if (!shown.length) {
       tbody.innerHTML = '';
+      emptyEl.textContent = positions.length ? 'No positions match these filters.' : 'No active positions found.';
       emptyEl.classList.remove('hidden');
-      countEl.textContent = '0 positions';
+      renderPagination('active', 1, 0);
       return;
     }
 
     emptyEl.classList.add('hidden');
-    countEl.textContent = positions.length + ' position' + (positions.length !== 1 ? 's' : '');
-
-    const sorted = [...positions].sort((a, b) => {
-      let va = a[sortKey];
-      let vb = b[sortKey];
-
-      if (sortKey === 'endDate') {
-        va = va ? new Date(va).getTime() : 0;
-        vb = vb ? new Date(vb).getTime() : 0;
-      } else {
-        va = Number(va) || 0;
-        vb = Number(vb) || 0;
-      }
 
-      return sortDir === 'asc' ? va - vb : vb - va;
-    });
+    const sorted = sortTableRows('active', shown, sortKey, sortDir);
 
     const totalPages = Math.ceil(sorted.length / PAGE_SIZE);
     if (activePage > totalPages) activePage = totalPages;
@@ -1417,8 +4111,9 @@
       const outcomeClass = (p.outcome || '').toLowerCase() === 'yes' ? 'outcome-yes' :
                            (p.outcome || '').toLowerCase() === 'no' ? 'outcome-no' : '';
       const slugAttr = p.slug ? ` data-slug="${escapeHTML(p.slug)}"` : '';
-      return `<tr>
-        <td class="td-title"${slugAttr} title="${escapeHTML(p.title)}">${escapeHTML(p.title)}</td>
+      return `<tr class="row-drill" tabindex="0" data-key="${escapeHTML((p.sourceWallet || '') + '|' + p.asset)}">
+        <td class="td-title"${slugAttr} title="${escapeHTML(p.title)}">${reconcileBadgeHTML(p)}${hedgeBadgeHTML(p)}${escapeHTML(p.title)}</td>
+        ${walletCellHTML(p)}
         <td class="td-outcome ${outcomeClass}">${escapeHTML(p.outcome)}</td>
         <td class="td-num">${Number(p.size || 0).toFixed(2)}</td>
         <td class="td-num">${Number(p.avgPrice || 0).toFixed(3)}</td>
@@ -1426,7 +4121,7 @@
         <td class="td-num">${formatUSD(cv)}</td>
         <td class="td-num ${pnlClass(cpnl)}">${formatUSD(cpnl)}</td>
         <td class="td-num ${pnlClass(ppnl)}">${(ppnl >= 0 ? '+' : '') + ppnl.toFixed(1) + '%'}</td>
-        <td>${formatDate(p.endDate)}</td>
+        <td${isOverdue(p) ? ' class="td-overdue" title="Past its end date and not yet resolved"' : ''}>${formatDate(p.endDate)}</td>
       </tr>`;
     }).join('');
 
@@ -1440,54 +4135,773 @@
     const tbody = $('#closed-tbody');
     const emptyEl = $('#closed-empty');
     const countEl = $('#closed-count');
+    renderSortHeaders('closed', sortKey, sortDir);
+    const shown = filterTableRows('closed', closedPositions);
+    countEl.textContent = tableCountText(shown.length, closedPositions.length);
 
-    if (!closedPositions.length) {
+    if (!shown.length) {
       tbody.innerHTML = '';
+      emptyEl.textContent = closedPositions.length ? 'No positions match these filters.' : 'No closed positions found.';
       emptyEl.classList.remove('hidden');
-      countEl.textContent = '0 positions';
+      renderPagination('closed', 1, 0);
       return;
     }
 
     emptyEl.classList.add('hidden');
-    countEl.textContent = closedPositions.length + ' position' + (closedPositions.length !== 1 ? 's' : '');
 
-    const sorted = [...closedPositions].sort((a, b) => {
-      let va, vb;
-      if (sortKey === 'timestamp') {
-        va = a.timestamp ? new Date(a.timestamp).getTime() : 0;
-        vb = b.timestamp ? new Date(b.timestamp).getTime() : 0;
-      } else {
-        va = Number(a[sortKey]) || 0;
-        vb = Number(b[sortKey]) || 0;
-      }
-      return sortDir === 'asc' ? va - vb : vb - va;
-    });
+    const sorted = sortTableRows('closed', shown, sortKey, sortDir);
 
     const totalPages = Math.ceil(sorted.length / PAGE_SIZE);
     if (closedPage > totalPages) closedPage = totalPages;
     const start = (closedPage - 1) * PAGE_SIZE;
     const page = sorted.slice(start, start + PAGE_SIZE);
 
-    tbody.innerHTML = page.map(p => {
-      const rpnl = Number(p.realizedPnl || 0);
-      const costBasis = Number(p.totalBought || 0) * Number(p.avgPrice || 0);
-      const rpct = costBasis > 0 ? (rpnl / costBasis) * 100 : 0;
-      const outcomeClass = (p.outcome || '').toLowerCase() === 'yes' ? 'outcome-yes' :
-                           (p.outcome || '').toLowerCase() === 'no' ? 'outcome-no' : '';
-      const slugAttr = p.slug ? ` data-slug="${escapeHTML(p.slug)}"` : '';
+    tbody.innerHTML = page.map(p => {
+      const rpnl = Number(p.realizedPnl || 0);
+      const costBasis = closedCostBasis(p);
+      const rpct = costBasis > 0 ? (rpnl / costBasis) * 100 : 0;
+      const outcomeClass = (p.outcome || '').toLowerCase() === 'yes' ? 'outcome-yes' :
+                           (p.outcome || '').toLowerCase() === 'no' ? 'outcome-no' : '';
+      const slugAttr = p.slug ? ` data-slug="${escapeHTML(p.slug)}"` : '';
+      const exit = exitType(p);
+      return `<tr class="row-drill" tabindex="0" data-key="${escapeHTML((p.sourceWallet || '') + '|' + p.asset)}">
+        <td class="td-title"${slugAttr} title="${escapeHTML(p.title)}">${reconcileBadgeHTML(p)}${escapeHTML(p.title)}</td>
+        ${walletCellHTML(p)}
+        <td class="td-outcome ${outcomeClass}">${escapeHTML(p.outcome)}</td>
+        <td class="td-num">${Number(p.avgPrice || 0).toFixed(3)}</td>
+        <td class="td-num">${Number(p.totalBought || 0).toFixed(2)}</td>
+        <td class="td-num">${formatUSD(costBasis)}</td>
+        <td class="td-num ${pnlClass(rpnl)}">${formatUSD(rpnl)}</td>
+        <td class="td-num ${pnlClass(rpnl)}">${(rpct >= 0 ? '+' : '') + rpct.toFixed(1) + '%'}</td>
+        <td class="td-num">${formatDuration(heldMs(p))}</td>
+        <td><span class="exit-tag exit-${exit}">${exit === 'resolved' ? 'Resolved' : 'Sold'}</span></td>
+        <td>${formatDate(p.timestamp)}</td>
+        <td class="td-link">${p.slug ? `<a href="${POLYMARKET_EVENT_URL}${escapeHTML(p.slug)}" target="_blank" rel="noopener" title="Open market on Polymarket">&#8599;</a>` : ''}</td>
+      </tr>`;
+    }).join('');
+
+    renderPagination('closed', closedPage, totalPages, (p) => {
+      closedPage = p;
+      renderClosedTable(closedPositions, sortKey, sortDir);
+    });
+  }
+
+  /* ---------- RESOLUTION CALENDAR ---------- */
+  let calendarGrouping = 'day';
+
+  /** Local YYYY-MM-DD for a timestamp. */
+  function dayKey(ms) {
+    const d = new Date(ms);
+    return d.getFullYear() + '-' + String(d.getMonth() + 1).padStart(2, '0') + '-' + String(d.getDate()).padStart(2, '0');
+  }
+
+  /** Resolution day of a position (YYYY-MM-DD), or null without an endDate. */
+  function resolutionDay(p) {
+    if (!p.endDate) return null;
+    if (/^\d{4}-\d{2}-\d{2}$/.test(p.endDate)) return p.endDate;
+    const ms = toMs(p.endDate);
+    return isNaN(ms) ? null : dayKey(ms);
+  }
+
+  /** Past its end date but not yet resolved, relative to the viewed date. */
+  function isOverdue(p) {
+    const day = resolutionDay(p);
+    return !!day && day < dayKey(asOfMs != null ? asOfMs : Date.now()) && !p.redeemable;
+  }
+
+  /** Monday of the week containing `day`. */
+  function weekStart(day) {
+    const d = new Date(day + 'T00:00:00');
+    d.setDate(d.getDate() - (d.getDay() + 6) % 7);
+    return dayKey(d.getTime());
+  }
+
+  /**
+   * Open positions grouped by resolution day or week. Positions past their
+   * endDate that are not yet redeemable are pulled into an overdue group.
+   */
+  function resolutionSchedule(positions, grouping, now) {
+    const groups = {};
+    const add = (key, p) => {
+      if (!groups[key]) groups[key] = { key, positions: [], atRisk: 0, payout: 0 };
+      groups[key].positions.push(p);
+      groups[key].atRisk += Number(p.currentValue || 0);
+      groups[key].payout += Number(p.size || 0);
+    };
+    positions.forEach(p => {
+      const day = resolutionDay(p);
+      if (!day) add('none', p);
+      else if (day < dayKey(now) && !p.redeemable) add('overdue', p);
+      else add(grouping === 'week' ? weekStart(day) : day, p);
+    });
+    const rank = key => key === 'overdue' ? 0 : key === 'none' ? 2 : 1;
+    return Object.values(groups).sort((a, b) => rank(a.key) - rank(b.key) || a.key.localeCompare(b.key));
+  }
+
+  function calendarGroupLabel(key, grouping) {
+    if (key === 'overdue') return 'Overdue';
+    if (key === 'none') return 'No end date';
+    const label = formatDate(key + 'T00:00:00');
+    return grouping === 'week' ? 'Week of ' + label : label;
+  }
+
+  function renderResolutionCalendar(data) {
+    const now = data.asOf != null ? data.asOf : Date.now();
+    const groups = resolutionSchedule(data.positions || [], calendarGrouping, now);
+    document.querySelectorAll('.calendar-group-btn').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.group === calendarGrouping);
+    });
+    $('#calendar-ics-btn').disabled = !groups.some(g => g.key !== 'none');
+    $('#calendar-empty').classList.toggle('hidden', groups.length > 0);
+
+    const overdue = groups.find(g => g.key === 'overdue');
+    $('#calendar-count').textContent = overdue
+      ? overdue.positions.length + ' overdue'
+      : '';
+
+    $('#calendar-agenda').innerHTML = groups.map(g => `
+      <div class="calendar-group${g.key === 'overdue' ? ' calendar-overdue' : ''}">
+        <div class="calendar-group-head">
+          <span class="calendar-date">${calendarGroupLabel(g.key, calendarGrouping)}</span>
+          <span class="calendar-totals">${g.positions.length} position${g.positions.length !== 1 ? 's' : ''}
+            &middot; at risk <strong>${formatUSD(g.atRisk)}</strong>
+            &middot; max payout <strong>${formatUSD(g.payout)}</strong></span>
+        </div>
+        ${g.positions.map(p => `<div class="calendar-item">
+          <span class="calendar-item-title" title="${escapeHTML(p.title)}">${escapeHTML(p.title)}</span>
+          <span class="calendar-item-outcome">${escapeHTML(p.outcome)}${isMultiWallet() ? ' &middot; ' + escapeHTML(walletTag(p.sourceWallet)) : ''}</span>
+          <span class="calendar-item-value">${formatUSD(p.currentValue)} &rarr; ${formatUSD(p.size)}${g.key === 'overdue' ? ' &middot; due ' + formatDate(resolutionDay(p) + 'T00:00:00') : ''}</span>
+        </div>`).join('')}
+      </div>`).join('');
+  }
+
+  /** Text value escaped for iCalendar (RFC 5545 §3.3.11). */
+  function icsText(value) {
+    return String(value == null ? '' : value).replace(/[\\;,]/g, m => '\\' + m).replace(/\r?\n/g, '\\n');
+  }
+
+  /**
+   * Fold content lines at 75 octets of UTF-8 (the leading space of a
+   * continuation line counts), breaking only between whole code points.
+   */
+  function icsFold(line) {
+    const parts = [];
+    let part = '';
+    let bytes = 0;
+    for (const ch of line) {
+      const cp = ch.codePointAt(0);
+      const size = cp < 0x80 ? 1 : cp < 0x800 ? 2 : cp < 0x10000 ? 3 : 4;
+      if (bytes + size > (parts.length ? 74 : 75)) {
+        parts.push(part);
+        part = '';
+        bytes = 0;
+      }
+      part += ch;
+      bytes += size;
+    }
+    parts.push(part);
+    return parts.join('\r\n ');
+  }
+
+  /** All-day VEVENTs for every open position with a resolution date. */
+  function resolutionICS(positions) {
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+    const compact = day => day.replace(/-/g, '');
+    const events = positions.filter(resolutionDay).map(p => {
+      const day = resolutionDay(p);
+      const next = new Date(day + 'T00:00:00');
+      next.setDate(next.getDate() + 1);
+      const url = p.slug ? POLYMARKET_EVENT_URL + p.slug : '';
+      return [
+        'BEGIN:VEVENT',
+        'UID:' + icsText((p.sourceWallet || '') + '-' + (p.asset || p.conditionId || p.title)) + '@polyfolio',
+        'DTSTAMP:' + stamp,
+        'DTSTART;VALUE=DATE:' + compact(day),
+        'DTEND;VALUE=DATE:' + compact(dayKey(next.getTime())),
+        'SUMMARY:' + icsText('Resolves: ' + (p.title || 'Unknown') + ' (' + (p.outcome || '') + ')'),
+        'DESCRIPTION:' + icsText(`${Number(p.size || 0).toFixed(2)} shares, worth ${formatUSD(p.currentValue)} now, max payout ${formatUSD(p.size)}` + (url ? '\n' + url : '')),
+        ...(url ? ['URL:' + url] : []),
+        'END:VEVENT',
+      ];
+    });
+    return [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//Polyfolio//Resolution Calendar//EN',
+      'CALSCALE:GREGORIAN',
+      'X-WR-CALNAME:' + icsText('Polyfolio resolutions'),
+      ...events.flat(),
+      'END:VCALENDAR',
+    ].map(icsFold).join('\r\n') + '\r\n';
+  }
+
+  function downloadResolutionICS() {
+    const data = getViewData();
+    if (!data) return;
+    gtag('event', 'ics_download', { positions: data.positions.length });
+    downloadFile(exportBaseName() + '-resolutions.ics', resolutionICS(data.positions), 'text/calendar;charset=utf-8');
+  }
+
+  /* ---------- SCENARIOS ---------- */
+  /*
+   * What-if outcomes for open positions. Each position resolves to a win
+   * ($1 a share), a loss ($0), its market price, or a custom probability;
+   * the book is then valued at those prices.
+   */
+  const SCENARIO_MODES = { market: 'Market', win: 'Win', lose: 'Lose', custom: 'Custom' };
+  /* wallet|asset → { mode, prob } for positions moved off their market price */
+  let scenario = {};
+  let scenarioPage = 1;
+
+  function scenarioKey(p) {
+    return (p.sourceWallet || '') + '|' + p.asset;
+  }
+
+  /** Probability a position pays out under the current scenario. */
+  function scenarioProb(p) {
+    const setting = scenario[scenarioKey(p)];
+    const mode = setting ? setting.mode : 'market';
+    if (mode === 'win') return 1;
+    if (mode === 'lose') return 0;
+    if (mode === 'custom') return setting.prob;
+    return Number(p.curPrice || 0);
+  }
+
+  /**
+   * Scenario value, PnL and return on the open book, plus best and worst
+   * case. Outcomes of one condition are mutually exclusive, so the extremes
+   * pick the best or worst winner per condition (or none of the held ones).
+   */
+  function scenarioOutcome(positions) {
+    const cost = positions.reduce((s, p) => s + Number(p.initialValue || 0), 0);
+    const current = positions.reduce((s, p) => s + Number(p.currentValue || 0), 0);
+    const value = positions.reduce((s, p) => s + Number(p.size || 0) * scenarioProb(p), 0);
+
+    const conditions = {};
+    positions.forEach(p => {
+      const key = p.conditionId || p.asset;
+      (conditions[key] = conditions[key] || []).push(p);
+    });
+    let best = 0;
+    let worst = 0;
+    Object.values(conditions).forEach(held => {
+      /* Payout for each held outcome winning; 0 when an unheld outcome wins */
+      const byOutcome = {};
+      held.forEach(p => {
+        const outcome = p.outcomeIndex != null ? p.outcomeIndex : p.asset;
+        byOutcome[outcome] = (byOutcome[outcome] || 0) + Number(p.size || 0);
+      });
+      const payouts = Object.values(byOutcome);
+      if (payouts.length < 2) payouts.push(0);
+      best += Math.max(...payouts);
+      worst += Math.min(...payouts);
+    });
+
+    const pnl = v => v - cost;
+    const ret = v => cost > 0 ? (v - cost) / cost : null;
+    return {
+      cost,
+      current,
+      value,
+      pnl: pnl(value),
+      returnPct: ret(value),
+      best: { value: best, pnl: pnl(best), returnPct: ret(best) },
+      worst: { value: worst, pnl: pnl(worst), returnPct: ret(worst) },
+      expected: { value: current, pnl: pnl(current), returnPct: ret(current) },
+    };
+  }
+
+  /** Positions in view moved off their market price; saved keys may cover wallets not shown. */
+  function scenarioChangedCount(positions) {
+    return positions.filter(p => scenario[scenarioKey(p)]).length;
+  }
+
+  function getSavedScenarios() {
+    try {
+      return JSON.parse(localStorage.getItem(SCENARIOS_KEY)) || {};
+    } catch (_) { return {}; }
+  }
+
+  function storeScenarios(saved) {
+    try { localStorage.setItem(SCENARIOS_KEY, JSON.stringify(saved)); } catch (_) {}
+  }
+
+  function renderScenarioSaved() {
+    const names = Object.keys(getSavedScenarios()).sort();
+    const select = $('#scenario-select');
+    const current = select.value;
+    select.innerHTML = '<option value="">Saved scenarios…</option>' +
+      names.map(n => `<option value="${escapeHTML(n)}">${escapeHTML(n)}</option>`).join('');
+    select.value = names.includes(current) ? current : '';
+    $('#scenario-delete-btn').disabled = !select.value;
+  }
+
+  function renderScenarioPanel(data) {
+    const positions = data.positions || [];
+    const out = scenarioOutcome(positions);
+    const card = (label, v) => `<div class="scenario-card">
+        <span class="metric-label">${label}</span>
+        <span class="scenario-value">${formatUSD(v.value)}</span>
+        <span class="scenario-pnl ${pnlClass(v.pnl)}">${formatUSD(v.pnl)} &middot; ${v.returnPct == null ? '—' : formatPct(v.returnPct)}</span>
+      </div>`;
+    $('#scenario-summary').innerHTML = [
+      card('Scenario', out),
+      card('Expected (market prices)', out.expected),
+      card('Best case', out.best),
+      card('Worst case', out.worst),
+    ].join('');
+    const changed = scenarioChangedCount(positions);
+    $('#scenario-count').textContent = changed
+      ? changed + ' of ' + positions.length + ' positions changed'
+      : positions.length + ' position' + (positions.length !== 1 ? 's' : '') + ' at market';
+    $('#scenario-empty').classList.toggle('hidden', positions.length > 0);
+
+    const sorted = [...positions].sort((a, b) => Number(b.currentValue || 0) - Number(a.currentValue || 0));
+    const totalPages = Math.ceil(sorted.length / PAGE_SIZE);
+    if (scenarioPage > totalPages) scenarioPage = Math.max(totalPages, 1);
+    const start = (scenarioPage - 1) * PAGE_SIZE;
+
+    $('#scenario-tbody').innerHTML = sorted.slice(start, start + PAGE_SIZE).map(p => {
+      const key = scenarioKey(p);
+      const setting = scenario[key] || { mode: 'market' };
+      const value = Number(p.size || 0) * scenarioProb(p);
+      const pnl = value - Number(p.initialValue || 0);
+      return `<tr class="${setting.mode !== 'market' ? 'row-scenario' : ''}">
+        <td class="td-title" title="${escapeHTML(p.title)}">${escapeHTML(p.title)}</td>
+        ${walletCellHTML(p)}
+        <td>${escapeHTML(p.outcome)}</td>
+        <td class="td-num">${Number(p.size || 0).toFixed(2)}</td>
+        <td class="td-num">${Number(p.curPrice || 0).toFixed(3)}</td>
+        <td class="td-scenario">
+          <select class="panel-select scenario-mode" data-key="${escapeHTML(key)}">
+            ${Object.keys(SCENARIO_MODES).map(mode => `<option value="${mode}"${mode === setting.mode ? ' selected' : ''}>${SCENARIO_MODES[mode]}</option>`).join('')}
+          </select>
+          <input type="number" class="panel-select scenario-prob${setting.mode === 'custom' ? '' : ' hidden'}" data-key="${escapeHTML(key)}"
+            min="0" max="100" step="1" value="${Math.round((setting.mode === 'custom' ? setting.prob : Number(p.curPrice || 0)) * 100)}" aria-label="Probability %">
+        </td>
+        <td class="td-num">${formatUSD(value)}</td>
+        <td class="td-num ${pnlClass(pnl)}">${formatUSD(pnl)}</td>
+      </tr>`;
+    }).join('');
+
+    renderScenarioSaved();
+    renderPagination('scenario', scenarioPage, totalPages, (page) => {
+      scenarioPage = page;
+      renderScenarioPanel(getViewData());
+    });
+  }
+
+  /**
+   * Change one position's outcome; a win makes the other outcomes of its
+   * condition lose, and moving off that win puts them back.
+   */
+  function setScenario(key, mode, prob) {
+    const positions = (getViewData() || { positions: [] }).positions;
+    const p = positions.find(pos => scenarioKey(pos) === key);
+    if (!p) return;
+    Object.keys(scenario).forEach(k => {
+      if (scenario[k].forcedBy === key) delete scenario[k];
+    });
+    if (mode === 'market') delete scenario[key];
+    else scenario[key] = { mode, prob: mode === 'custom' ? Math.min(Math.max(prob, 0), 1) : null };
+    if (mode === 'win' && p.conditionId) {
+      positions.filter(o => o.conditionId === p.conditionId && o.outcomeIndex !== p.outcomeIndex)
+        .forEach(o => { scenario[scenarioKey(o)] = { mode: 'lose', prob: null, forcedBy: key }; });
+    }
+    renderScenarioPanel(getViewData());
+  }
+
+  /* ---------- EXPOSURE ---------- */
+  /*
+   * Open positions netted per event. Outcomes of one condition are
+   * mutually exclusive, and so are the conditions of a negative-risk
+   * (multi-outcome) event, so holding several of them partly offsets.
+   */
+  let exposurePage = 1;
+  /* condition ids holding more than one outcome, for flagging the active table */
+  let hedgedConditions = new Set();
+
+  /** 0 for a YES share and 1 for NO; outcomes named otherwise fall back to their index. */
+  function outcomeSide(p) {
+    const name = String(p.outcome || '').trim().toLowerCase();
+    if (name === 'yes') return 0;
+    if (name === 'no') return 1;
+    return Number(p.outcomeIndex) || 0;
+  }
+
+  function exposureGroups(positions) {
+    const events = {};
+    positions.forEach(p => {
+      const key = p.eventSlug || p.conditionId || p.asset;
+      if (!events[key]) events[key] = { key, slug: p.eventSlug || null, positions: [], conditions: {}, exclusive: false };
+      const ev = events[key];
+      ev.positions.push(p);
+      if (p.negativeRisk) ev.exclusive = true;
+      const cond = ev.conditions[p.conditionId || p.asset] = ev.conditions[p.conditionId || p.asset] || {};
+      const outcome = outcomeSide(p);
+      cond[outcome] = cond[outcome] || { shares: 0, cost: 0 };
+      cond[outcome].shares += Number(p.size || 0);
+      cond[outcome].cost += Number(p.initialValue || 0);
+    });
+    return Object.values(events);
+  }
+
+  /**
+   * Payout in every way the event can resolve: one of the held outcomes
+   * wins, or, when the event has open outcomes not held (or its market
+   * list is unknown), one of those does.
+   */
+  function eventPayouts(ev) {
+    const conds = Object.values(ev.conditions);
+    const shares = (cond, i) => cond[i] ? cond[i].shares : 0;
+    if (ev.exclusive) {
+      const allNo = conds.reduce((s, cond) => s + shares(cond, 1), 0);
+      const payouts = conds.map(cond => allNo - shares(cond, 1) + shares(cond, 0));
+      const listed = ev.slug ? eventConditions[ev.slug] : null;
+      const unheld = !listed || listed.some(id => !ev.conditions[id]);
+      return unheld ? payouts.concat([allNo]) : payouts;
+    }
+    /* Independent conditions: extremes add up condition by condition */
+    let min = 0;
+    let max = 0;
+    conds.forEach(cond => {
+      const payouts = Object.values(cond).map(o => o.shares);
+      if (payouts.length < 2) payouts.push(0);
+      min += Math.min(...payouts);
+      max += Math.max(...payouts);
+    });
+    return [min, max];
+  }
+
+  function eventExposure(ev) {
+    const value = ev.positions.reduce((s, p) => s + Number(p.currentValue || 0), 0);
+    const cost = ev.positions.reduce((s, p) => s + Number(p.initialValue || 0), 0);
+    const payouts = eventPayouts(ev);
+    const minPayout = Math.min(...payouts);
+    const maxPayout = Math.max(...payouts);
+    /* YES+NO pairs of one condition redeem for $1 whatever happens */
+    let lockedProfit = 0;
+    Object.values(ev.conditions).forEach(cond => {
+      if (!cond[0] || !cond[1]) return;
+      const pairs = Math.min(cond[0].shares, cond[1].shares);
+      const pairCost = pairs * (cond[0].cost / cond[0].shares + cond[1].cost / cond[1].shares);
+      lockedProfit += pairs - pairCost;
+    });
+    const first = ev.positions[0];
+    const titles = new Set(ev.positions.map(p => p.title));
+    return {
+      key: ev.key,
+      title: first.title || 'Unknown',
+      more: titles.size - 1,
+      slug: first.eventSlug || first.slug,
+      count: ev.positions.length,
+      hedged: ev.positions.length > 1 && (ev.exclusive || Object.values(ev.conditions).some(cond => Object.keys(cond).length > 1)),
+      value,
+      cost,
+      minPayout,
+      maxPayout,
+      netExposure: value - minPayout,
+      lockedProfit,
+      worstPnl: minPayout - cost,
+    };
+  }
+
+  function hedgeBadgeHTML(p) {
+    if (!hedgedConditions.has(p.conditionId)) return '';
+    return '<span class="hedge-flag" title="Offset by another outcome of this market held in the portfolio">&#8644;</span>';
+  }
+
+  function renderExposurePanel(data) {
+    const groups = exposureGroups(data.positions || []);
+    hedgedConditions = new Set();
+    groups.forEach(ev => Object.keys(ev.conditions).forEach(id => {
+      if (Object.keys(ev.conditions[id]).length > 1) hedgedConditions.add(id);
+    }));
+
+    const rows = groups.map(eventExposure).sort((a, b) => (b.hedged - a.hedged) || b.value - a.value);
+    const gross = rows.reduce((s, r) => s + r.value, 0);
+    const net = rows.reduce((s, r) => s + r.netExposure, 0);
+    const locked = rows.reduce((s, r) => s + r.lockedProfit, 0);
+    $('#exposure-stats').innerHTML = `
+      <span>Events <strong>${rows.length.toLocaleString()}</strong></span>
+      <span title="Sum of position values">Gross value <strong>${formatUSD(gross)}</strong></span>
+      <span title="Value that still depends on how events resolve">Net exposure <strong>${formatUSD(net)}</strong></span>
+      <span title="Profit from YES+NO pairs that pay $1 whatever happens">Locked profit <strong class="${pnlClass(locked)}">${formatUSD(locked)}</strong></span>`;
+    $('#exposure-empty').classList.toggle('hidden', rows.length > 0);
+
+    const totalPages = Math.ceil(rows.length / PAGE_SIZE);
+    if (exposurePage > totalPages) exposurePage = Math.max(totalPages, 1);
+    const start = (exposurePage - 1) * PAGE_SIZE;
+    $('#exposure-tbody').innerHTML = rows.slice(start, start + PAGE_SIZE).map(r => `<tr class="${r.hedged ? 'row-hedged' : ''}">
+        <td class="td-title" title="${escapeHTML(r.title)}">${r.hedged ? '<span class="hedge-flag">&#8644;</span>' : ''}${escapeHTML(r.title)}${r.more ? ` <span class="td-market">+${r.more} more</span>` : ''}</td>
+        <td class="td-num">${r.count}</td>
+        <td class="td-num">${formatUSD(r.value)}</td>
+        <td class="td-num">${formatUSD(r.netExposure)}</td>
+        <td class="td-num">${formatUSD(r.minPayout)}</td>
+        <td class="td-num ${pnlClass(r.lockedProfit)}">${r.lockedProfit ? formatUSD(r.lockedProfit) : '—'}</td>
+        <td class="td-num">${formatUSD(r.maxPayout)}</td>
+        <td class="td-num ${pnlClass(r.worstPnl)}">${formatUSD(r.worstPnl)}</td>
+      </tr>`).join('');
+
+    renderPagination('exposure', exposurePage, totalPages, (page) => {
+      exposurePage = page;
+      renderExposurePanel(getViewData());
+    });
+  }
+
+  /* ---------- TABLE FILTERS ---------- */
+  const EMPTY_TABLE_FILTER = { q: '', outcome: 'all', priceMin: '', priceMax: '', pnl: 'all', minValue: '', withinDays: '' };
+  let tableFilters = { active: { ...EMPTY_TABLE_FILTER }, closed: { ...EMPTY_TABLE_FILTER } };
+
+  /* What price, PnL and value mean in each table */
+  const TABLE_FILTER_FIELDS = {
+    active: {
+      price: p => Number(p.curPrice || 0),
+      pnl: p => Number(p.cashPnl || 0),
+      value: p => Number(p.currentValue || 0),
+    },
+    closed: {
+      price: p => Number(p.avgPrice || 0),
+      pnl: p => Number(p.realizedPnl || 0),
+      value: p => Number(p.totalBought || 0) * Number(p.avgPrice || 0),
+    },
+  };
+
+  function hasTableFilters(table) {
+    const f = tableFilters[table];
+    return Object.keys(EMPTY_TABLE_FILTER).some(key => f[key] !== EMPTY_TABLE_FILTER[key]);
+  }
+
+  /** Rows of the active or closed table that pass its search and column filters. */
+  function filterTableRows(table, rows) {
+    if (!hasTableFilters(table)) return rows;
+    const f = tableFilters[table];
+    const fields = TABLE_FILTER_FIELDS[table];
+    const q = f.q.trim().toLowerCase();
+    const priceMin = f.priceMin === '' ? null : Number(f.priceMin) / 100;
+    const priceMax = f.priceMax === '' ? null : Number(f.priceMax) / 100;
+    const minValue = f.minValue === '' ? null : Number(f.minValue);
+    const horizon = f.withinDays === '' ? null : dayKey((asOfMs != null ? asOfMs : Date.now()) + Number(f.withinDays) * 86400000);
+    return rows.filter(p => {
+      const outcome = (p.outcome || '').toLowerCase();
+      if (q && !(p.title || '').toLowerCase().includes(q) && !outcome.includes(q)) return false;
+      if (f.outcome === 'other' ? ['yes', 'no'].includes(outcome) : f.outcome !== 'all' && outcome !== f.outcome) return false;
+      const price = fields.price(p);
+      if (priceMin != null && price < priceMin) return false;
+      if (priceMax != null && price > priceMax) return false;
+      const pnl = fields.pnl(p);
+      if (f.pnl === 'positive' && !(pnl > 0)) return false;
+      if (f.pnl === 'negative' && !(pnl < 0)) return false;
+      if (minValue != null && fields.value(p) < minValue) return false;
+      /* Overdue positions count as resolving soon */
+      if (horizon) {
+        const day = resolutionDay(p);
+        if (!day || day > horizon) return false;
+      }
+      return true;
+    });
+  }
+
+  /** Plain-English summary of a table's filters, for exports; '' when unfiltered. */
+  function tableFilterLabel(table) {
+    if (!hasTableFilters(table)) return '';
+    const f = tableFilters[table];
+    const parts = [];
+    if (f.q.trim()) parts.push(`search "${f.q.trim()}"`);
+    if (f.outcome !== 'all') parts.push('outcome ' + (f.outcome === 'other' ? 'other than Yes/No' : f.outcome));
+    if (f.priceMin !== '' || f.priceMax !== '') parts.push(`${table === 'closed' ? 'entry ' : ''}price ${f.priceMin || 0}–${f.priceMax || 100}¢`);
+    if (f.pnl !== 'all') parts.push(f.pnl + ' PnL');
+    if (f.minValue !== '') parts.push(`${table === 'closed' ? 'cost' : 'value'} ≥ ${formatUSD(Number(f.minValue))}`);
+    if (f.withinDays !== '') parts.push(`resolving within ${f.withinDays} days`);
+    return parts.join(', ');
+  }
+
+  /** "12 of 80 positions" when filtered, "80 positions" otherwise. */
+  function tableCountText(shown, total) {
+    const noun = total !== 1 ? ' positions' : ' position';
+    return shown === total ? total + noun : shown.toLocaleString() + ' of ' + total.toLocaleString() + noun;
+  }
+
+  function renderTableFilters(table) {
+    const f = tableFilters[table];
+    document.querySelectorAll(`.table-filters[data-table="${table}"] [data-filter]`).forEach(input => {
+      input.value = f[input.dataset.filter];
+    });
+    document.querySelector(`.table-filters[data-table="${table}"] .table-filters-clear`).disabled = !hasTableFilters(table);
+  }
+
+  function rerenderTable(table) {
+    if (table === 'active') {
+      activePage = 1;
+      renderActiveTable(activePositions, currentSortKey, currentSortDir);
+    } else {
+      closedPage = 1;
+      renderClosedTable(closedPositionsData, closedSortKey, closedSortDir);
+    }
+    renderTableFilters(table);
+  }
+
+  /* ---------- POSITION DRAWER ---------- */
+  /* Row of the active or closed table whose history the drawer shows */
+  let drawerTable = null;
+  let drawerKey = null;
+
+  /**
+   * Every fill and activity event for one position, with the shares held,
+   * average entry and running PnL (realized plus unrealized at the last
+   * traded price) after each, from the same replay as the as-of view.
+   */
+  function positionHistory(data, p) {
+    const wallet = p.sourceWallet || '';
+    const key = wallet + '|' + p.asset;
+    const rows = [];
+    let book = null;
+    /* Realized PnL of earlier rounds that were closed and re-entered */
+    let carried = 0;
+    replayBooks(data, asOfMs == null ? Infinity : asOfMs, (ev, kind, books) => {
+      if ((ev.sourceWallet || '') !== wallet) return;
+      const touches = ev.asset === p.asset || (kind !== 'TRADE' && p.conditionId && ev.conditionId === p.conditionId);
+      if (!touches) return;
+      const live = books[key];
+      if (live && live !== book) {
+        if (book) carried += book.realized;
+        book = live;
+      }
+      const shares = live && live.shares > 1e-6 ? live.shares : 0;
+      const avg = shares ? live.cost / shares : null;
+      const mark = shares && live.lastPrice != null ? live.lastPrice : avg;
+      const size = Number(ev.size || 0);
+      const usdc = Number(ev.usdcSize || 0);
+      rows.push({
+        timestamp: toMs(ev.timestamp),
+        kind,
+        side: ev.side || '',
+        size,
+        /* Splits and merges move a full set of outcomes at $1, not a price for this one */
+        price: kind === 'TRADE' ? Number(ev.price || 0) : (size && kind !== 'SPLIT' && kind !== 'MERGE' ? usdc / size : null),
+        usdc: kind === 'TRADE' ? size * Number(ev.price || 0) : usdc,
+        shares,
+        avg,
+        pnl: carried + (book ? book.realized : 0) + (shares ? shares * mark - live.cost : 0),
+      });
+    });
+    return rows;
+  }
+
+  function drawerPosition(data) {
+    const rows = drawerTable === 'active' ? data.positions : data.closedPositions;
+    return (rows || []).find(p => (p.sourceWallet || '') + '|' + p.asset === drawerKey) || null;
+  }
+
+  function renderPositionDrawer() {
+    const data = getViewData();
+    const p = data && drawerPosition(data);
+    if (!p) {
+      closePositionDrawer();
+      return;
+    }
+    const history = positionHistory(data, p);
+    const last = history[history.length - 1];
+    const apiPnl = drawerTable === 'active' ? Number(p.cashPnl || 0) : Number(p.realizedPnl || 0);
+    const url = p.slug ? POLYMARKET_EVENT_URL + p.slug : '';
+
+    $('#drawer-title').textContent = p.title || 'Unknown';
+    $('#drawer-sub').innerHTML = [
+      escapeHTML(p.outcome || ''),
+      isMultiWallet() ? escapeHTML(walletTag(p.sourceWallet || '')) : '',
+      drawerTable === 'active' ? 'Open' : 'Closed · ' + (exitType(p) === 'resolved' ? 'Resolved' : 'Sold'),
+      url ? `<a href="${escapeHTML(url)}" target="_blank" rel="noopener">View market &#8599;</a>` : '',
+    ].filter(Boolean).join(' · ');
+
+    const stat = (label, value, cls) => `<span>${label}<strong class="${cls || ''}">${value}</strong></span>`;
+    $('#drawer-stats').innerHTML = [
+      stat('Events', history.length.toLocaleString()),
+      stat('Shares held', last ? last.shares.toFixed(2) : Number(p.size || 0).toFixed(2)),
+      stat('Avg entry', last && last.avg != null ? last.avg.toFixed(3) : Number(p.avgPrice || 0).toFixed(3)),
+      stat('Replayed PnL', last ? formatUSD(last.pnl) : '—', last ? pnlClass(last.pnl) : ''),
+      stat(drawerTable === 'active' ? 'API Cash PnL' : 'API Realized PnL', formatUSD(apiPnl), pnlClass(apiPnl)),
+    ].join('');
+
+    $('#drawer-empty').classList.toggle('hidden', history.length > 0);
+    $('#drawer-tbody').innerHTML = history.slice().reverse().map(row => {
+      const label = row.kind === 'TRADE'
+        ? (row.side === 'SELL' ? 'Sell' : 'Buy')
+        : row.kind.charAt(0) + row.kind.slice(1).toLowerCase().replace(/_/g, ' ');
       return `<tr>
-        <td class="td-title"${slugAttr} title="${escapeHTML(p.title)}">${escapeHTML(p.title)}</td>
-        <td class="td-outcome ${outcomeClass}">${escapeHTML(p.outcome)}</td>
-        <td class="td-num ${pnlClass(rpnl)}">${formatUSD(rpnl)}</td>
-        <td class="td-num ${pnlClass(rpnl)}">${(rpct >= 0 ? '+' : '') + rpct.toFixed(1) + '%'}</td>
-        <td>${formatDate(p.timestamp)}</td>
+        <td>${formatDate(row.timestamp)}</td>
+        <td><span class="drawer-event drawer-event-${escapeHTML(row.side ? row.side.toLowerCase() : row.kind.toLowerCase())}">${escapeHTML(TL_TYPE_ICONS[row.kind] || '')} ${escapeHTML(label)}</span></td>
+        <td class="td-num">${row.size ? row.size.toFixed(2) : '—'}</td>
+        <td class="td-num">${row.price != null ? row.price.toFixed(3) : '—'}</td>
+        <td class="td-num">${row.usdc ? formatUSD(row.usdc) : '—'}</td>
+        <td class="td-num">${row.shares.toFixed(2)}</td>
+        <td class="td-num">${row.avg != null ? row.avg.toFixed(3) : '—'}</td>
+        <td class="td-num ${pnlClass(row.pnl)}">${formatUSD(row.pnl)}</td>
       </tr>`;
     }).join('');
 
-    renderPagination('closed', closedPage, totalPages, (p) => {
-      closedPage = p;
-      renderClosedTable(closedPositions, sortKey, sortDir);
+    const canvas = $('#chart-position-pnl');
+    releaseCanvas(canvas);
+    canvas.parentElement.classList.toggle('hidden', !history.length);
+    if (!history.length) return;
+    const color = getCSSVar(last.pnl >= 0 ? '--green' : '--red');
+    const chart = new Chart(canvas.getContext('2d'), {
+      type: 'line',
+      data: {
+        labels: history.map(row => new Date(row.timestamp).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: '2-digit' })),
+        datasets: [{
+          label: 'Running PnL',
+          data: history.map(row => row.pnl),
+          borderColor: color,
+          backgroundColor: 'transparent',
+          fill: false,
+          stepped: true,
+          pointRadius: history.length > 40 ? 0 : 2,
+          pointHoverRadius: 4,
+          borderWidth: 2,
+        }],
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        interaction: { mode: 'index', intersect: false },
+        plugins: {
+          legend: { display: false },
+          tooltip: {
+            callbacks: {
+              label: (ctx) => 'Running PnL: ' + formatUSD(ctx.raw),
+              afterLabel: (ctx) => {
+                const row = history[ctx.dataIndex];
+                return row.shares.toFixed(2) + ' shares' + (row.avg != null ? ' @ ' + row.avg.toFixed(3) : '');
+              },
+            },
+          },
+        },
+        scales: {
+          x: { grid: { color: getCSSVar('--chart-grid-light') }, ticks: { maxTicksLimit: 8, font: { size: 10 } } },
+          y: { grid: { color: getCSSVar('--chart-grid') }, ticks: { callback: (v) => formatUSD(v) } },
+        },
+      },
     });
+    chartInstances.push(chart);
+  }
+
+  function openPositionDrawer(table, key) {
+    drawerTable = table;
+    drawerKey = key;
+    hideEmbedPopover();
+    $('#position-drawer').classList.remove('hidden');
+    $('#drawer-backdrop').classList.remove('hidden');
+    gtag('event', 'position_drilldown', { table });
+    renderPositionDrawer();
+    if (drawerKey) $('#drawer-close').focus();
+  }
+
+  function closePositionDrawer() {
+    drawerTable = null;
+    drawerKey = null;
+    releaseCanvas($('#chart-position-pnl'));
+    $('#position-drawer').classList.add('hidden');
+    $('#drawer-backdrop').classList.add('hidden');
   }
 
   /* ---------- PAGINATION ---------- */
@@ -1675,31 +5089,28 @@
   });
 
   /* ---------- SORT CONTROLS ---------- */
+  /* Clicking a header sorts by it; clicking the sorted header again flips the direction */
   function initSortControls() {
-    const activeButtons = document.querySelectorAll('.sort-btn');
-    activeButtons.forEach(btn => {
-      btn.addEventListener('click', () => {
-        activeButtons.forEach(b => b.classList.remove('active'));
-        btn.classList.add('active');
-        currentSortKey = btn.dataset.sort;
-        currentSortDir = btn.dataset.dir;
-        activePage = 1;
-        gtag('event', 'table_sort', { table: 'active', sort_key: currentSortKey });
-        renderActiveTable(activePositions, currentSortKey, currentSortDir);
-      });
+    $('#active-table thead').addEventListener('click', (e) => {
+      const th = e.target.closest('th[data-sort]');
+      if (!th) return;
+      const key = th.dataset.sort;
+      currentSortDir = key === currentSortKey ? (currentSortDir === 'asc' ? 'desc' : 'asc') : TABLE_SORTS.active[key][1];
+      currentSortKey = key;
+      activePage = 1;
+      gtag('event', 'table_sort', { table: 'active', sort_key: currentSortKey, sort_dir: currentSortDir });
+      renderActiveTable(activePositions, currentSortKey, currentSortDir);
     });
 
-    const closedButtons = document.querySelectorAll('.closed-sort-btn');
-    closedButtons.forEach(btn => {
-      btn.addEventListener('click', () => {
-        closedButtons.forEach(b => b.classList.remove('active'));
-        btn.classList.add('active');
-        closedSortKey = btn.dataset.sort;
-        closedSortDir = btn.dataset.dir;
-        closedPage = 1;
-        gtag('event', 'table_sort', { table: 'closed', sort_key: closedSortKey });
-        renderClosedTable(closedPositionsData, closedSortKey, closedSortDir);
-      });
+    $('#closed-table thead').addEventListener('click', (e) => {
+      const th = e.target.closest('th[data-sort]');
+      if (!th) return;
+      const key = th.dataset.sort;
+      closedSortDir = key === closedSortKey ? (closedSortDir === 'asc' ? 'desc' : 'asc') : TABLE_SORTS.closed[key][1];
+      closedSortKey = key;
+      closedPage = 1;
+      gtag('event', 'table_sort', { table: 'closed', sort_key: closedSortKey, sort_dir: closedSortDir });
+      renderClosedTable(closedPositionsData, closedSortKey, closedSortDir);
     });
   }
 
@@ -1708,6 +5119,7 @@
     entryScreen.classList.add('hidden');
     loadingScreen.classList.add('hidden');
     dashboard.classList.add('hidden');
+    compareScreen.classList.add('hidden');
 
     screen.classList.remove('hidden');
 
@@ -1741,6 +5153,8 @@
     const canvas = $(canvasSelector);
     if (!canvas) return;
     const wrap = canvas.closest('.chart-wrap') || canvas.parentElement;
+    /* A panel may have hidden its chart for lack of data last time */
+    wrap.classList.remove('hidden');
     canvas.style.display = 'none';
     if (!wrap.querySelector('.chart-skeleton')) {
       const skel = document.createElement('div');
@@ -1762,11 +5176,10 @@
     const tbody = $(tbodySelector);
     if (!tbody) return;
     const section = tbody.closest('.table-section');
-    /* Hide empty state, table content, and controls */
+    /* Hide empty state, table content, controls and filters */
     const emptyEl = section.querySelector('.empty-state');
     if (emptyEl) emptyEl.classList.add('hidden');
-    const controls = section.querySelector('.table-controls');
-    if (controls) controls.style.display = 'none';
+    section.querySelectorAll('.table-controls, .table-filters').forEach(el => { el.style.display = 'none'; });
     tbody.closest('.table-scroll').style.display = 'none';
     /* Remove old pagination if present */
     const pag = section.querySelector('.table-pagination');
@@ -1790,8 +5203,7 @@
     if (!tbody) return;
     const section = tbody.closest('.table-section');
     tbody.closest('.table-scroll').style.display = '';
-    const controls = section.querySelector('.table-controls');
-    if (controls) controls.style.display = '';
+    section.querySelectorAll('.table-controls, .table-filters').forEach(el => { el.style.display = ''; });
     const skel = section.querySelector('.table-skeleton');
     if (skel) skel.remove();
   }
@@ -1833,61 +5245,329 @@
     if (skel) skel.remove();
   }
 
+  /* ---------- DATA NOTICE ---------- */
+  /**
+   * One human-readable line per dataset that did not load completely,
+   * prefixed with the wallet when several are shown.
+   */
+  function dataNoticeLines(data) {
+    const walletStatus = (data && data.walletStatus) || {};
+    const multi = Object.keys(walletStatus).length > 1;
+    const lines = [];
+    Object.keys(walletStatus).forEach(address => {
+      const loadStatus = walletStatus[address];
+      const prefix = multi ? walletTag(address) + ' \u2014 ' : '';
+      Object.keys(DATASET_LABELS).forEach(key => {
+        const st = loadStatus[key];
+        if (!isIncomplete(st) && !(st && st.stale)) return;
+        const label = prefix + DATASET_LABELS[key];
+        const lastError = (st.errors[st.errors.length - 1] || 'unknown error') +
+          (st.retries ? ' after ' + st.retries + ' retr' + (st.retries !== 1 ? 'ies' : 'y') : '');
+        if (st.stale) {
+          lines.push(label + ' could not be refreshed (' + lastError + '); showing the cached copy.');
+        } else if (st.failed) {
+          lines.push(label + ' could not be loaded (' + lastError + ').');
+        } else if (st.partial) {
+          lines.push(label + ' is partial: ' + st.rows.toLocaleString() + ' rows from ' + st.pages +
+            ' page' + (st.pages !== 1 ? 's' : '') + ' before the API failed (' + lastError + ').');
+        }
+        if (st.truncated) {
+          const rows = (data[key] || []).filter(r => r.sourceWallet === address);
+          const oldest = rows.reduce((min, r) => Math.min(min, Number(r.timestamp || Infinity)), Infinity);
+          const since = isFinite(oldest) ? ' Only records since ' + formatDate(oldest * 1000) + ' are included.' : '';
+          lines.push(label + ' is incomplete: the API stopped returning older records after ' +
+            rows.length.toLocaleString() + ' rows.' + since);
+        }
+      });
+    });
+    return lines;
+  }
+
+  function renderDataNotice(data = lastData, selector = '#data-notice') {
+    const el = $(selector);
+    const lines = dataNoticeLines(data);
+    if (!lines.length) {
+      el.classList.add('hidden');
+      el.innerHTML = '';
+      return;
+    }
+    el.innerHTML = '<strong>Incomplete data</strong>' + lines.map(l => '<p>' + escapeHTML(l) + '</p>').join('');
+    el.classList.remove('hidden');
+  }
+
+  /* ---------- CACHE STATUS ---------- */
+  let cacheSavedAt = null;
+
+  function renderCacheStatus(state) {
+    const el = $('#cache-status');
+    const ageEl = $('#cache-age');
+    if (state === 'hidden' || (!cacheSavedAt && state !== 'refreshing')) {
+      el.classList.add('hidden');
+      return;
+    }
+    el.classList.remove('hidden');
+    if (state === 'refreshing') {
+      ageEl.textContent = cacheSavedAt ? 'Cached ' + formatAge(cacheSavedAt) + ' \u00B7 updating\u2026' : 'Loading\u2026';
+    } else {
+      ageEl.textContent = 'Updated ' + formatAge(cacheSavedAt);
+    }
+  }
+
+  /* Keep the "x minutes ago" label honest while the dashboard stays open */
+  setInterval(() => {
+    if (cacheSavedAt && !$('#cache-status').classList.contains('hidden') && !$('#cache-age').textContent.includes('\u2026')) {
+      renderCacheStatus('fresh');
+    }
+  }, 60000);
+
+  /** Render every panel at once from a complete dataset (cache hits, wallet filter). */
+  function renderDashboard(data) {
+    clearMetricSkeletons();
+    renderMetrics(computeMetrics(data));
+    renderRiskMetrics(computeRiskMetrics(data));
+    clearAllocSkeleton();
+    clearChartSkeleton('#chart-winners');
+    clearChartSkeleton('#chart-losers');
+    clearChartSkeleton('#chart-volume');
+    clearChartSkeleton('#chart-equity');
+    clearChartSkeleton('#chart-calibration');
+    clearChartSkeleton('#chart-holding');
+    clearChartSkeleton('#chart-income');
+    renderAllCharts(data);
+    renderCategoryPanel(data, analysisController && analysisController.signal);
+    lotsPage = 1;
+    renderLotPanel(data);
+
+    exposurePage = 1;
+    renderExposurePanel(data);
+    activePositions = data.positions;
+    activePage = 1;
+    clearTableSkeleton('#active-tbody');
+    renderActiveTable(activePositions, currentSortKey, currentSortDir);
+    renderResolutionCalendar(data);
+    scenarioPage = 1;
+    renderScenarioPanel(data);
+
+    closedPositionsData = inDateRange(data.closedPositions);
+    closedPage = 1;
+    indexExitTypes(data);
+    clearTableSkeleton('#closed-tbody');
+    renderClosedTable(closedPositionsData, closedSortKey, closedSortDir);
+
+    renderWalletBreakdown();
+    if (drawerKey) renderPositionDrawer();
+  }
+
   /* ---------- MAIN FLOW ---------- */
-  async function analyze(address) {
+  /* The in-flight analysis; aborted whenever another one starts or the user leaves */
+  let analysisController = null;
+
+  function cancelAnalysis() {
+    if (analysisController) analysisController.abort();
+    analysisController = null;
+  }
+
+  /** Stamp rows with the wallet they came from (merged views rely on it). */
+  function tagRows(rows, address) {
+    (rows || []).forEach(r => { if (r && typeof r === 'object') r.sourceWallet = address; });
+    return rows;
+  }
+
+  /**
+   * Start loading one wallet. Resolves once its cache has been read, with
+   * one promise per dataset; each settles to rows tagged with the wallet.
+   * With a cached copy, positions are refetched and trades/activity are
+   * topped up with only the rows newer than the cache.
+   */
+  async function loadWallet(address, { forceFull, signal }) {
+    const loadStatus = createLoadStatus();
+    const cached = forceFull ? null : await readWalletCache(address);
+    if (cached) {
+      ['positions', 'closedPositions', 'trades', 'activity', 'leaderboard'].forEach(key => tagRows(cached.data[key], address));
+      if (Array.isArray(cached.data.quickValue)) tagRows(cached.data.quickValue, address);
+    }
+
+    const tradesSince = cached ? latestTimestamp(cached.data.trades) : null;
+    const activitySince = cached ? latestTimestamp(cached.data.activity) : null;
+
+    /* History the cached copy could not complete stays incomplete */
+    if (cached && cached.data.truncated) {
+      loadStatus.trades.truncated = !!cached.data.truncated.trades;
+      loadStatus.activity.truncated = !!cached.data.truncated.activity;
+    }
+
+    /* With a cache to fall back on, a failed refresh means stale, not missing */
+    function fallBack(key, rows) {
+      const st = loadStatus[key];
+      if (cached && st.failed) {
+        st.failed = false;
+        st.stale = true;
+        return cached.data[key];
+      }
+      return rows;
+    }
+
+    const promises = {
+      positions: fetchAllPages('/positions?', address, ENDPOINT_CONFIG.positions, { status: loadStatus.positions, signal })
+        .then(rows => fallBack('positions', tagRows(rows, address))),
+      closedPositions: fetchAllPages('/closed-positions?', address, ENDPOINT_CONFIG.closedPositions, { status: loadStatus.closedPositions, signal })
+        .then(rows => fallBack('closedPositions', tagRows(rows, address))),
+      trades: fetchAllPages('/trades?', address, ENDPOINT_CONFIG.trades, { sinceTs: tradesSince, status: loadStatus.trades, signal })
+        .then(rows => tagRows(rows, address))
+        .then(rows => cached ? mergeEvents(cached.data.trades, rows) : rows)
+        .then(rows => fallBack('trades', rows)),
+      activity: fetchAllPages('/activity?', address, ENDPOINT_CONFIG.activity, { sinceTs: activitySince, status: loadStatus.activity, signal })
+        .then(rows => tagRows(rows, address))
+        .then(rows => cached ? mergeEvents(cached.data.activity, rows) : rows)
+        .then(rows => fallBack('activity', rows)),
+      leaderboard: fetchTracked(`/v1/leaderboard?user=${address}&timePeriod=ALL`, loadStatus.leaderboard, signal)
+        .then(raw => tagRows(unwrapArray(raw) || [], address))
+        .catch(() => fallBack('leaderboard', [])),
+      /* Portfolio value (non-critical) */
+      quickValue: fetchTracked(`/value?user=${address}`, loadStatus.value, signal)
+        .then(raw => tagRows(unwrapArray(raw) || [raw], address))
+        .catch(() => {
+          if (!cached) return [];
+          loadStatus.value.failed = false;
+          loadStatus.value.stale = true;
+          return cached.data.quickValue || [];
+        }),
+    };
+
+    return { address, cached, loadStatus, promises };
+  }
+
+  /**
+   * Load and render one or more wallets as a single dashboard. With every
+   * wallet cached, the dashboard renders straight from the cache and then
+   * refreshes in place. `forceFull` skips the cache and downloads
+   * everything again.
+   *
+   * Each call owns an AbortController: starting another analysis cancels
+   * this one's requests, and every render below first checks that its
+   * session is still current.
+   */
+  async function analyze(addresses, { forceFull = false } = {}) {
+    cancelAnalysis();
+    const controller = new AbortController();
+    analysisController = controller;
+    const { signal } = controller;
+
     /* Show dashboard immediately with skeletons */
-    dashAddr.textContent = address;
-    dashAddr.href = `https://polymarket.com/@${address}`;
+    currentWallets = addresses;
+    walletFilter = null;
+    asOfMs = null;
+    scenario = {};
+    $('#scenario-select').value = '';
+    tableFilters = { active: { ...EMPTY_TABLE_FILTER }, closed: { ...EMPTY_TABLE_FILTER } };
+    renderTableFilters('active');
+    renderTableFilters('closed');
+    renderWalletHeader();
+    renderSourceBadge();
 
     destroyCharts();
     chartDefaults();
 
-    lastData = { positions: [], closedPositions: [], trades: [], activity: [], quickValue: null, leaderboard: [] };
+    const walletStatus = {};
+    lastData = { positions: [], closedPositions: [], trades: [], activity: [], quickValue: [], leaderboard: [], walletStatus };
     activePositions = [];
     closedPositionsData = [];
 
     showMetricSkeletons();
+    $('#risk-grid').innerHTML = '';
     showAllocSkeleton();
     showChartSkeleton('#chart-winners');
     showChartSkeleton('#chart-losers');
     showChartSkeleton('#chart-volume');
+    showChartSkeleton('#chart-equity');
+    showChartSkeleton('#chart-calibration');
+    showChartSkeleton('#chart-holding');
+    showChartSkeleton('#chart-income');
+    $('#category-tbody').innerHTML = '<tr><td colspan="8" class="category-loading">Loading categories\u2026</td></tr>';
+    $('#category-empty').classList.add('hidden');
     showTimelineSkeleton();
     showTableSkeleton('#active-tbody');
     showTableSkeleton('#closed-tbody');
+    renderWalletControls();
+    renderAsOfControls({ ready: false });
+    renderDateRangeControls({ ready: false });
+    const rangeQuery = dateRangeQuery();
 
     showScreen(dashboard);
 
+    cacheSavedAt = null;
+    const wallets = await Promise.all(addresses.map(address => loadWallet(address, { forceFull, signal })));
+    if (signal.aborted) return;
+    wallets.forEach(w => { walletStatus[w.address] = w.loadStatus; });
+
+    const allCached = wallets.every(w => w.cached);
+    if (allCached) {
+      cacheSavedAt = wallets.reduce((min, w) => Math.min(min, w.cached.savedAt), Infinity);
+      ['positions', 'closedPositions', 'trades', 'activity', 'leaderboard', 'quickValue'].forEach(key => {
+        lastData[key] = [].concat(...wallets.map(w => w.cached.data[key] || []));
+      });
+      renderDashboard(lastData);
+    }
+    renderCacheStatus('refreshing');
+    renderDataNotice();
+
+    /* One promise per dataset, concatenated across wallets */
+    const merged = key => Promise.all(wallets.map(w => w.promises[key])).then(lists => [].concat(...lists));
+
     /* Track how many critical fetches have arrived for metrics */
     let positionsReady = false;
     let closedReady = false;
     let leaderboardReady = false;
     function tryRenderMetrics() {
+      if (signal.aborted) return;
       if (!positionsReady || !closedReady || !leaderboardReady) return;
       clearMetricSkeletons();
       const metrics = computeMetrics(lastData);
       renderMetrics(metrics);
+      renderRiskMetrics(computeRiskMetrics(lastData));
+    }
+
+    /* Equity curve and holding periods need every dataset they replay */
+    let equityPending = 4;
+    function tryRenderEquity() {
+      if (signal.aborted || --equityPending > 0) return;
+      clearChartSkeleton('#chart-equity');
+      renderEquityCurve(lastData);
+      clearChartSkeleton('#chart-holding');
+      renderHoldingPeriods(lastData);
+      lotsPage = 1;
+      renderLotPanel(lastData);
+      indexExitTypes(lastData);
+      renderActiveTable(activePositions, currentSortKey, currentSortDir);
+      renderClosedTable(closedPositionsData, closedSortKey, closedSortDir);
     }
 
     function tryRenderWinnersLosers() {
+      if (signal.aborted) return;
       if (!positionsReady || !closedReady) return;
       clearChartSkeleton('#chart-winners');
       clearChartSkeleton('#chart-losers');
-      if (lastData.positions.length || lastData.closedPositions.length) {
-        renderWinnersLosers(lastData.positions, lastData.closedPositions);
+      renderCategoryPanel(lastData, signal);
+      const closed = inDateRange(lastData.closedPositions);
+      if (lastData.positions.length || closed.length) {
+        renderWinnersLosers(lastData.positions, closed);
       }
     }
 
     /* Fire all fetches independently */
-    const positionsPromise = fetchAllPages('/positions?', address, ENDPOINT_CONFIG.positions).catch(() => []);
-    const closedPromise = fetchAllPages('/closed-positions?', address, ENDPOINT_CONFIG.closedPositions).catch(() => []);
-    const tradesPromise = fetchAllPages('/trades?', address, ENDPOINT_CONFIG.trades).catch(() => []);
-    const activityPromise = fetchAllPages('/activity?', address, ENDPOINT_CONFIG.activity).catch(() => []);
-    const leaderboardPromise = fetchJSON(`/v1/leaderboard?user=${address}&timePeriod=ALL`).catch(() => []);
+    const positionsPromise = merged('positions');
+    const closedPromise = merged('closedPositions');
+    const tradesPromise = merged('trades');
+    const activityPromise = merged('activity');
+    const leaderboardPromise = merged('leaderboard');
+    const valuePromise = merged('quickValue');
 
     /* Positions → allocation chart + active table (also needed for metrics + winners/losers) */
     positionsPromise.then(positions => {
+      if (signal.aborted) return;
       lastData.positions = positions;
       positionsReady = true;
+      renderDataNotice();
 
       /* Allocation chart */
       clearAllocSkeleton();
@@ -1896,71 +5576,354 @@
       }
 
       /* Active table */
+      exposurePage = 1;
+      renderExposurePanel(lastData);
       activePositions = positions;
       activePage = 1;
       clearTableSkeleton('#active-tbody');
       renderActiveTable(activePositions, currentSortKey, currentSortDir);
+      renderResolutionCalendar(lastData);
+      scenarioPage = 1;
+      renderScenarioPanel(lastData);
 
       tryRenderMetrics();
       tryRenderWinnersLosers();
+      tryRenderEquity();
     });
 
     /* Closed positions → closed table (also needed for metrics + winners/losers) */
     closedPromise.then(closedPositions => {
+      if (signal.aborted) return;
       lastData.closedPositions = closedPositions;
       closedReady = true;
+      renderDataNotice();
 
-      closedPositionsData = closedPositions;
+      closedPositionsData = inDateRange(closedPositions);
       closedPage = 1;
       clearTableSkeleton('#closed-tbody');
       renderClosedTable(closedPositionsData, closedSortKey, closedSortDir);
+      clearChartSkeleton('#chart-calibration');
+      renderCalibration(lastData);
 
       tryRenderMetrics();
       tryRenderWinnersLosers();
+      tryRenderEquity();
     });
 
     /* Trades → volume chart */
     tradesPromise.then(trades => {
+      if (signal.aborted) return;
       lastData.trades = trades;
+      renderDataNotice();
       clearChartSkeleton('#chart-volume');
-      renderTradeVolume(trades);
+      renderTradeVolume(inDateRange(trades));
+      tryRenderMetrics();
+      tryRenderEquity();
     });
 
     /* Activity → timeline */
     activityPromise.then(activity => {
+      if (signal.aborted) return;
       lastData.activity = activity;
-      renderTimeline(activity);
+      renderDataNotice();
+      renderTimeline(inDateRange(activity));
+      clearChartSkeleton('#chart-income');
+      renderIncomePanel(lastData);
+      tryRenderMetrics();
+      tryRenderEquity();
     });
 
     /* Leaderboard → rank metric */
     leaderboardPromise.then(leaderboard => {
+      if (signal.aborted) return;
       lastData.leaderboard = leaderboard;
       leaderboardReady = true;
+      renderDataNotice();
       tryRenderMetrics();
     });
 
-    /* Fetch portfolio value (non-critical) */
-    fetchJSON(`/value?user=${address}`).then(v => {
-      lastData.quickValue = v;
-    }).catch(() => {});
+    valuePromise.then(values => {
+      if (signal.aborted) return;
+      lastData.quickValue = values;
+    });
 
     /* Wait for all to settle; if ALL fail, show error */
     try {
-      const results = await Promise.allSettled([
-        positionsPromise, closedPromise, tradesPromise, activityPromise, leaderboardPromise
+      await Promise.allSettled([
+        positionsPromise, closedPromise, tradesPromise, activityPromise, leaderboardPromise, valuePromise
       ]);
-      const allFailed = results.every(r => r.status === 'rejected');
+      if (signal.aborted) return;
+      const allFailed = wallets.every(w => ['positions', 'closedPositions', 'trades', 'activity', 'leaderboard']
+        .every(key => w.loadStatus[key].failed));
       if (allFailed) {
         throw new Error('All API calls failed');
       }
-      gtag('event', 'portfolio_load', { address: truncAddr(address) });
+      gtag('event', 'portfolio_load', { address: truncAddr(addresses[0]), wallets: addresses.length, cached: allCached });
+      renderDataNotice();
+      renderWalletControls();
+      renderAsOfControls();
+      if (isMultiWallet()) renderWalletBreakdown();
+      /*
+       * Never cache a dataset with holes — the next incremental refresh would
+       * trust it — nor one that fell back to cached rows, whose age a fresh
+       * savedAt would hide. The status shows the age of the oldest rows on screen.
+       */
+      let savedAt = Date.now();
+      for (const w of wallets) {
+        const stale = Object.keys(w.loadStatus).some(key => w.loadStatus[key].stale);
+        const complete = Object.keys(w.loadStatus).every(key => !w.loadStatus[key].partial && !w.loadStatus[key].failed);
+        if (stale) savedAt = Math.min(savedAt, w.cached.savedAt);
+        else if (complete) await writeWalletCache(w.address, filterByWallets(lastData, [w.address]));
+      }
+      if (signal.aborted) return;
+      if (analysisController === controller) analysisController = null;
+      renderDateRangeControls();
+      /* The range changed in the URL while loading */
+      if (dateRangeQuery() !== rangeQuery) renderDashboard(getViewData());
+      cacheSavedAt = savedAt;
+      renderCacheStatus(dataSource.mode === 'fixtures' ? 'hidden' : 'fresh');
     } catch (err) {
+      if (signal.aborted) return;
       console.error(err);
       showScreen(entryScreen);
       entryError.textContent = 'Failed to load portfolio. Check the address and try again.';
     }
   }
 
+  /* ---------- COMPARE ---------- */
+  /*
+   * #compare/<a>/<b> loads two wallets independently and lays their
+   * metrics, volume and PnL series and overlapping markets side by side.
+   */
+  const COMPARE_PREFIX = 'compare/';
+  let compareData = null;
+
+  /** Wait for every dataset of a loaded wallet; failures become []. */
+  async function settleWallet(w) {
+    const keys = Object.keys(w.promises);
+    const results = await Promise.allSettled(keys.map(k => w.promises[k]));
+    const data = { walletStatus: { [w.address]: w.loadStatus } };
+    keys.forEach((k, i) => { data[k] = results[i].status === 'fulfilled' ? results[i].value : []; });
+    return data;
+  }
+
+  async function compare(addresses, { forceFull = false } = {}) {
+    cancelAnalysis();
+    const controller = new AbortController();
+    analysisController = controller;
+    const { signal } = controller;
+
+    currentWallets = addresses;
+    walletFilter = null;
+    compareData = null;
+    destroyCharts();
+    chartDefaults();
+    renderSourceBadge();
+
+    $('#compare-title').innerHTML = addresses.map(a =>
+      `<span class="compare-wallet"><span class="wallet-swatch" style="background:${walletColor(a)}"></span>${escapeHTML(walletTag(a))}</span>`
+    ).join('<span class="compare-vs">vs</span>');
+    compareScreen.querySelectorAll('.compare-col-head').forEach(th => {
+      th.textContent = walletTag(addresses[Number(th.dataset.walletIndex)]);
+    });
+    renderDataNotice(null, '#compare-notice');
+    showTableSkeleton('#compare-metrics-tbody');
+    showTableSkeleton('#compare-shared-tbody');
+    showChartSkeleton('#chart-compare-volume');
+    showChartSkeleton('#chart-compare-pnl');
+    showScreen(compareScreen);
+
+    try {
+      const wallets = await Promise.all(addresses.map(address => loadWallet(address, { forceFull, signal })));
+      const datasets = await Promise.all(wallets.map(settleWallet));
+      if (signal.aborted) return;
+      if (wallets.every(w => ['positions', 'closedPositions', 'trades', 'activity', 'leaderboard'].every(key => w.loadStatus[key].failed))) {
+        throw new Error('All API calls failed');
+      }
+      if (analysisController === controller) analysisController = null;
+
+      compareData = { addresses, datasets };
+      gtag('event', 'compare_load', { a: truncAddr(addresses[0]), b: truncAddr(addresses[1]) });
+      const walletStatus = Object.assign({}, ...datasets.map(d => d.walletStatus));
+      renderDataNotice({ walletStatus }, '#compare-notice');
+      clearTableSkeleton('#compare-metrics-tbody');
+      clearTableSkeleton('#compare-shared-tbody');
+      clearChartSkeleton('#chart-compare-volume');
+      clearChartSkeleton('#chart-compare-pnl');
+      renderCompareMetrics(compareData);
+      renderCompareCharts(compareData);
+      renderSharedMarkets(compareData);
+    } catch (err) {
+      if (signal.aborted) return;
+      console.error(err);
+      showScreen(entryScreen);
+      entryError.textContent = 'Failed to load wallets for comparison. Check the addresses and try again.';
+    }
+  }
+
+  const COMPARE_ROWS = [
+    { key: 'totalValue', label: 'Portfolio Value', format: formatUSD },
+    { key: 'returnPct', label: 'Return %', format: formatReturn, signed: true },
+    { key: 'winRate', label: 'Win Rate', format: v => (v * 100).toFixed(1) + '%' },
+    { key: 'realizedPnl', label: 'Realized PnL', format: formatUSD, signed: true },
+    { key: 'unrealizedPnl', label: 'Unrealized PnL', format: formatUSD, signed: true },
+    { key: 'income', label: 'Income', format: formatUSD, signed: true },
+    { key: 'rank', label: 'Leaderboard Rank', format: v => v ? '#' + Number(v).toLocaleString() : '—' },
+    { key: 'activeCount', label: 'Active', format: v => String(v) },
+    { key: 'closedCount', label: 'Closed', format: v => String(v) },
+  ];
+
+  function renderCompareMetrics({ datasets }) {
+    const metrics = datasets.map(computeMetrics);
+    $('#compare-metrics-tbody').innerHTML = COMPARE_ROWS.map(row => {
+      const cells = metrics.map(m => {
+        const v = m[row.key];
+        const cls = row.signed ? pnlClass(v) : '';
+        const partial = m.partial.includes(row.key) ? ' metric-partial-cell' : '';
+        return `<td class="td-num ${cls}${partial}">${row.format(v)}</td>`;
+      }).join('');
+      const known = row.key !== 'rank' && metrics.every(m => m[row.key] != null);
+      const delta = known ? metrics[0][row.key] - metrics[1][row.key] : NaN;
+      const diff = known ? row.format(delta) : '—';
+      const diffCls = known ? pnlClass(delta) : '';
+      const label = row.key === 'returnPct' ? row.label + ' (' + RETURN_METHODS[returnMethod].label + ')' : row.label;
+      return `<tr><td class="td-title">${label}</td>${cells}<td class="td-num ${diffCls}">${diff}</td></tr>`;
+    }).join('');
+  }
+
+  /** Daily notional trade volume keyed by YYYY-MM-DD. */
+  function dailyVolume(trades) {
+    const days = {};
+    trades.forEach(t => {
+      const ms = toMs(t.timestamp);
+      if (isNaN(ms)) return;
+      const key = new Date(ms).toISOString().slice(0, 10);
+      days[key] = (days[key] || 0) + Math.abs(Number(t.size || 0) * Number(t.price || 0));
+    });
+    return days;
+  }
+
+  /** Realized PnL booked per day from closed positions. */
+  function dailyRealized(closedPositions) {
+    const days = {};
+    closedPositions.forEach(p => {
+      const ms = toMs(p.timestamp);
+      if (isNaN(ms)) return;
+      const key = new Date(ms).toISOString().slice(0, 10);
+      days[key] = (days[key] || 0) + Number(p.realizedPnl || 0);
+    });
+    return days;
+  }
+
+  function renderCompareCharts({ addresses, datasets }) {
+    const gridColor = getCSSVar('--chart-grid');
+    const gridLightColor = getCSSVar('--chart-grid-light');
+    const dayLabel = d => new Date(d + 'T00:00:00').toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: '2-digit' });
+
+    function lineChart(canvasSel, series, cumulative) {
+      releaseCanvas($(canvasSel));
+      const days = [...new Set(series.flatMap(Object.keys))].sort();
+      const chart = new Chart($(canvasSel).getContext('2d'), {
+        type: 'line',
+        data: {
+          labels: days.map(dayLabel),
+          datasets: series.map((byDay, i) => {
+            let running = 0;
+            const color = walletColor(addresses[i]);
+            return {
+              label: walletTag(addresses[i]),
+              data: days.map(d => cumulative ? (running += byDay[d] || 0) : (byDay[d] || 0)),
+              borderColor: color,
+              backgroundColor: color + '14',
+              fill: !cumulative,
+              stepped: cumulative,
+              tension: cumulative ? 0 : 0.3,
+              pointRadius: 0,
+              pointHoverRadius: 4,
+              borderWidth: 1.5,
+            };
+          }),
+        },
+        options: {
+          responsive: true,
+          maintainAspectRatio: false,
+          interaction: { mode: 'index', intersect: false },
+          plugins: {
+            legend: { display: true, labels: { boxWidth: 12, padding: 16, font: { size: 10 }, usePointStyle: true } },
+            tooltip: { callbacks: { label: (ctx) => ctx.dataset.label + ': ' + formatUSD(ctx.raw) } },
+          },
+          scales: {
+            x: { grid: { color: gridLightColor }, ticks: { maxTicksLimit: 12, font: { size: 10 } } },
+            y: { grid: { color: gridColor }, ticks: { callback: (v) => formatUSD(v) } },
+          },
+        },
+      });
+      chartInstances.push(chart);
+    }
+
+    lineChart('#chart-compare-volume', datasets.map(d => dailyVolume(d.trades)), false);
+    lineChart('#chart-compare-pnl', datasets.map(d => dailyRealized(d.closedPositions)), true);
+  }
+
+  /** Markets (by conditionId) where both wallets hold an open position. */
+  function sharedMarkets(datasets) {
+    const byMarket = datasets.map(d => {
+      const map = {};
+      d.positions.forEach(p => {
+        const key = p.conditionId || p.slug || p.title;
+        (map[key] = map[key] || []).push(p);
+      });
+      return map;
+    });
+    return Object.keys(byMarket[0])
+      .filter(key => byMarket[1][key])
+      .map(key => ({ key, holdings: byMarket.map(m => m[key]) }))
+      .sort((x, y) => {
+        const value = h => h.flat().reduce((s, p) => s + Number(p.currentValue || 0), 0);
+        return value(y.holdings) - value(x.holdings);
+      });
+  }
+
+  function renderSharedMarkets({ datasets }) {
+    const tbody = $('#compare-shared-tbody');
+    const shared = sharedMarkets(datasets);
+    $('#compare-shared-count').textContent = shared.length + ' shared market' + (shared.length === 1 ? '' : 's');
+    $('#compare-shared-empty').classList.toggle('hidden', shared.length > 0);
+    const sideCell = positions => '<td>' + positions.map(p => {
+      const outcomeClass = (p.outcome || '').toLowerCase() === 'yes' ? 'outcome-yes' : (p.outcome || '').toLowerCase() === 'no' ? 'outcome-no' : '';
+      return `<span class="td-outcome ${outcomeClass}">${escapeHTML(p.outcome)}</span>`;
+    }).join(' / ') + '</td>';
+    const entryCell = positions => '<td class="td-num">' + positions.map(p => Number(p.avgPrice || 0).toFixed(3)).join(' / ') + '</td>';
+    const valueCell = positions => {
+      const v = positions.reduce((s, p) => s + Number(p.currentValue || 0), 0);
+      return `<td class="td-num">${formatUSD(v)}</td>`;
+    };
+    tbody.innerHTML = shared.map(({ holdings }) => {
+      const p = holdings[0][0];
+      const sides = holdings.map(h => new Set(h.map(x => x.outcome)));
+      const same = [...sides[0]].some(o => sides[1].has(o));
+      const slugAttr = p.slug ? ` data-slug="${escapeHTML(p.slug)}"` : '';
+      return `<tr>
+        <td class="td-title"${slugAttr} title="${escapeHTML(p.title)}">${escapeHTML(p.title)}</td>
+        ${holdings.map(h => sideCell(h) + entryCell(h) + valueCell(h)).join('')}
+        <td>${same ? 'Same side' : 'Opposite'}</td>
+      </tr>`;
+    }).join('');
+  }
+
+  $('#compare-btn').addEventListener('click', () => {
+    const other = parseAddressList((window.prompt('Compare with wallet address:') || '').trim());
+    if (other.length !== 1 || !ADDR_RE.test(other[0])) return;
+    gtag('event', 'compare_start');
+    updateURL([currentWallets[0], other[0]], { compare: true });
+  });
+
+  $('#compare-back-btn').addEventListener('click', () => backBtn.click());
+  $('#compare-brand-link').addEventListener('click', (e) => {
+    e.preventDefault();
+    backBtn.click();
+  });
+
   /* ---------- RECENT LOOKUPS ---------- */
   const RECENT_KEY = 'polyfolio-recent';
   const MAX_RECENT = 5;
@@ -1991,21 +5954,24 @@
     }
     const recent = getRecentLookups();
     if (!recent.includes(DEMO_ADDRESS)) recent.push(DEMO_ADDRESS);
-    dl.innerHTML = recent
-      .map(a => `<option value="${a.slice(2)}">`)
+    const groups = getSavedGroups();
+    dl.innerHTML = Object.keys(groups)
+      .map(name => `<option value="${escapeHTML(name)}" label="Group \u00B7 ${groups[name].length} wallets">`)
+      .concat(recent.map(a => `<option value="${escapeHTML(a.split(',').map(w => w.slice(2)).join(', '))}">`))
       .join('');
   }
 
   /* ---------- INPUT VALIDATION ---------- */
-  function getFullAddress() {
+  /** Wallets named by the input: a saved group name or a list of addresses. */
+  function getInputWallets() {
     const val = addressInput.value.trim();
-    if (val.startsWith('0x')) return val;
-    return '0x' + val;
+    const groups = getSavedGroups();
+    if (groups[val]) return groups[val].slice();
+    return parseAddressList(val);
   }
 
   function validateInput() {
-    const addr = getFullAddress();
-    const valid = ADDR_RE.test(addr);
+    const valid = isValidWalletList(getInputWallets());
     loadBtn.disabled = !valid;
     return valid;
   }
@@ -2023,41 +5989,255 @@
   });
 
   loadBtn.addEventListener('click', () => {
-    const addr = getFullAddress();
-    if (!ADDR_RE.test(addr)) {
+    const wallets = getInputWallets();
+    if (wallets.length > MAX_WALLETS) {
+      entryError.textContent = `Up to ${MAX_WALLETS} wallets can be combined.`;
+      return;
+    }
+    if (!isValidWalletList(wallets)) {
       entryError.textContent = 'Invalid Ethereum address format.';
       return;
     }
     entryError.textContent = '';
-    saveRecentLookup(addr);
-    updateURL(addr);
-    analyze(addr);
+    saveRecentLookup(wallets.join(','));
+    if (sameWallets(getWalletsFromURL(), wallets)) analyze(wallets);
+    else updateURL(wallets);
+  });
+
+  /* Load a directory of recorded API responses and analyze it offline */
+  $('#fixture-input').addEventListener('change', async (e) => {
+    const picked = [...e.target.files].filter(f => f.name.endsWith('.json'));
+    e.target.value = '';
+    if (!picked.length) return;
+    const files = {};
+    try {
+      for (const f of picked) files[f.name] = JSON.parse(await f.text());
+    } catch (_) {
+      entryError.textContent = 'Could not parse the recorded JSON files.';
+      return;
+    }
+    const addr = addressFromFixtures(files) || (validateInput() ? getInputWallets()[0] : null);
+    if (!addr) {
+      entryError.textContent = 'No wallet address found in recordings. Enter one above and try again.';
+      return;
+    }
+    gtag('event', 'fixtures_load', { files: picked.length });
+    useFixtureFiles(files);
+    entryError.textContent = '';
+    addressInput.value = addr.slice(2);
+    validateInput();
+    if (sameWallets(getWalletsFromURL(), [addr])) analyze([addr]);
+    else updateURL([addr]);
   });
 
   backBtn.addEventListener('click', () => {
     gtag('event', 'new_lookup');
+    cancelAnalysis();
+    closePositionDrawer();
+    lotsExpanded.clear();
+    scenario = {};
+    $('#scenario-select').value = '';
     destroyCharts();
     activePositions = [];
     closedPositionsData = [];
     lastData = null;
+    compareData = null;
+    currentWallets = [];
+    walletFilter = null;
+    asOfMs = null;
+    renderAsOfControls({ ready: false });
+    dateRange = { preset: 'all', from: '', to: '' };
+    renderDateRangeControls();
+    tableFilters = { active: { ...EMPTY_TABLE_FILTER }, closed: { ...EMPTY_TABLE_FILTER } };
+    renderTableFilters('active');
+    renderTableFilters('closed');
+    renderWalletControls();
+    renderWalletBreakdown();
+    cacheSavedAt = null;
+    renderCacheStatus('hidden');
+    renderDataNotice();
     currentSortKey = 'currentValue';
     currentSortDir = 'desc';
     closedSortKey = 'timestamp';
     closedSortDir = 'desc';
-
-    document.querySelectorAll('.sort-btn').forEach(b => b.classList.remove('active'));
-    const defaultSort = document.querySelector('.sort-btn[data-sort="currentValue"]');
-    if (defaultSort) defaultSort.classList.add('active');
-
-    document.querySelectorAll('.closed-sort-btn').forEach(b => b.classList.remove('active'));
-    const defaultClosedSort = document.querySelector('.closed-sort-btn[data-sort="timestamp"]');
-    if (defaultClosedSort) defaultClosedSort.classList.add('active');
+    renderSortHeaders('active', currentSortKey, currentSortDir);
+    renderSortHeaders('closed', closedSortKey, closedSortDir);
 
     /* Push clean URL */
     window.location.hash = '';
     showScreen(entryScreen);
   });
 
+  $('#full-refresh-btn').addEventListener('click', () => {
+    if (!currentWallets.length) return;
+    gtag('event', 'full_refresh');
+    analyze(currentWallets, { forceFull: true });
+  });
+
+  document.querySelectorAll('.return-method-btn').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      setReturnMethod(btn.dataset.method);
+    });
+  });
+
+  document.querySelectorAll('.calendar-group-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      calendarGrouping = btn.dataset.group;
+      gtag('event', 'calendar_grouping', { grouping: calendarGrouping });
+      if (lastData) renderResolutionCalendar(getViewData());
+    });
+  });
+
+  $('#calendar-ics-btn').addEventListener('click', downloadResolutionICS);
+
+  document.querySelectorAll('.table-filters').forEach(bar => {
+    const table = bar.dataset.table;
+    bar.addEventListener('input', (e) => {
+      const key = e.target.dataset.filter;
+      if (!key) return;
+      tableFilters[table][key] = e.target.value;
+      rerenderTable(table);
+    });
+    bar.querySelector('.table-filters-clear').addEventListener('click', () => {
+      tableFilters[table] = { ...EMPTY_TABLE_FILTER };
+      gtag('event', 'table_filters_clear', { table });
+      rerenderTable(table);
+    });
+  });
+
+  /* Clicking (or pressing Enter on) a position row opens its drill-down */
+  ['active', 'closed'].forEach(table => {
+    const tbody = $(`#${table}-tbody`);
+    const open = (e) => {
+      if (e.target.closest('a')) return;
+      const row = e.target.closest('tr[data-key]');
+      if (row) openPositionDrawer(table, row.dataset.key);
+    };
+    tbody.addEventListener('click', open);
+    tbody.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') open(e);
+    });
+  });
+  $('#drawer-close').addEventListener('click', closePositionDrawer);
+  $('#drawer-backdrop').addEventListener('click', closePositionDrawer);
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && drawerKey) closePositionDrawer();
+  });
+
+  $('#range-select').addEventListener('change', (e) => {
+    const preset = e.target.value;
+    if (preset === 'custom') {
+      /* Start from the window that was showing, if any */
+      const bounds = dateRangeBounds();
+      const day = ms => isFinite(ms) ? dayKey(ms) : '';
+      setDateRange({ preset, from: bounds ? day(bounds.start) : '', to: bounds ? day(bounds.end) : '' });
+    } else {
+      setDateRange({ preset, from: '', to: '' });
+    }
+  });
+
+  ['#range-from', '#range-to'].forEach(sel => {
+    $(sel).addEventListener('change', () => {
+      setDateRange({ preset: 'custom', from: $('#range-from').value, to: $('#range-to').value });
+    });
+  });
+
+  document.querySelectorAll('.volume-granularity-btn[data-granularity]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      volumeGranularity = btn.dataset.granularity;
+      gtag('event', 'volume_granularity', { granularity: volumeGranularity });
+      if (lastData) renderTradeVolume(inDateRange(getViewData().trades));
+    });
+  });
+
+  $('#volume-market-toggle').addEventListener('click', () => {
+    volumeByMarket = !volumeByMarket;
+    gtag('event', 'volume_by_market', { enabled: volumeByMarket });
+    if (lastData) renderTradeVolume(inDateRange(getViewData().trades));
+  });
+
+  $('#scenario-tbody').addEventListener('change', (e) => {
+    const key = e.target.dataset.key;
+    if (!key) return;
+    const input = e.target.closest('tr').querySelector('.scenario-prob');
+    const mode = e.target.classList.contains('scenario-prob') ? 'custom' : e.target.value;
+    setScenario(key, mode, Number(input.value) / 100);
+  });
+
+  $('#scenario-reset-btn').addEventListener('click', () => {
+    scenario = {};
+    $('#scenario-select').value = '';
+    if (lastData) renderScenarioPanel(getViewData());
+  });
+
+  $('#scenario-save-btn').addEventListener('click', () => {
+    const name = (window.prompt('Name this scenario:', $('#scenario-select').value) || '').trim();
+    if (!name) return;
+    const saved = getSavedScenarios();
+    saved[name] = { settings: scenario, saved: Date.now() };
+    storeScenarios(saved);
+    gtag('event', 'scenario_save', { positions: lastData ? scenarioChangedCount(getViewData().positions || []) : 0 });
+    renderScenarioSaved();
+    $('#scenario-select').value = name;
+    $('#scenario-delete-btn').disabled = false;
+  });
+
+  $('#scenario-select').addEventListener('change', (e) => {
+    const saved = getSavedScenarios()[e.target.value];
+    $('#scenario-delete-btn').disabled = !saved;
+    if (!saved) return;
+    scenario = { ...saved.settings };
+    gtag('event', 'scenario_load');
+    if (lastData) renderScenarioPanel(getViewData());
+  });
+
+  $('#scenario-delete-btn').addEventListener('click', () => {
+    const name = $('#scenario-select').value;
+    const saved = getSavedScenarios();
+    if (!saved[name]) return;
+    delete saved[name];
+    storeScenarios(saved);
+    renderScenarioSaved();
+  });
+
+  document.querySelectorAll('.lot-method-btn').forEach(btn => {
+    btn.addEventListener('click', () => setLotMethod(btn.dataset.method));
+  });
+
+  $('#lots-tbody').addEventListener('click', (e) => {
+    const btn = e.target.closest('.lots-expand');
+    if (!btn) return;
+    const key = btn.dataset.key;
+    if (lotsExpanded.has(key)) lotsExpanded.delete(key);
+    else lotsExpanded.add(key);
+    if (lastData) renderLotPanel(getViewData());
+  });
+
+  $('#lots-mismatch-only').addEventListener('change', (e) => {
+    lotsMismatchOnly = e.target.checked;
+    lotsPage = 1;
+    if (lastData) renderLotPanel(getViewData());
+  });
+
+  ['#calibration-category', '#calibration-window'].forEach(sel => {
+    $(sel).addEventListener('change', () => {
+      calibrationFilter = { category: $('#calibration-category').value, window: $('#calibration-window').value };
+      gtag('event', 'calibration_filter', calibrationFilter);
+      if (lastData) renderCalibration(getViewData());
+    });
+  });
+
+  $('#asof-input').addEventListener('change', (e) => setAsOf(e.target.value));
+  $('#asof-live-btn').addEventListener('click', () => setAsOf(null));
+
+  $('#save-group-btn').addEventListener('click', () => {
+    const name = (window.prompt('Name this wallet group:') || '').trim();
+    if (!name) return;
+    saveGroup(name, currentWallets.slice());
+    gtag('event', 'save_group', { wallets: currentWallets.length });
+  });
+
   $('#top-brand-link').addEventListener('click', (e) => {
     e.preventDefault();
     backBtn.click();
@@ -2065,38 +6245,72 @@
 
   /* ---------- URL ROUTING (hash-based) ---------- */
 
-  function getAddressFromURL() {
-    const hash = window.location.hash.slice(1);
-    if (ADDR_RE.test(hash)) return hash;
-    return null;
+  /** Wallets in the hash: one address, or several separated by commas. */
+  function getWalletsFromURL() {
+    const hash = decodeURIComponent(window.location.hash.slice(1)).split('?')[0];
+    if (hash.startsWith(COMPARE_PREFIX)) return null;
+    const list = parseAddressList(hash);
+    return isValidWalletList(list) ? list : null;
+  }
+
+  /** The two wallets of a #compare/<a>/<b> route. */
+  function getCompareFromURL() {
+    const hash = decodeURIComponent(window.location.hash.slice(1));
+    if (!hash.startsWith(COMPARE_PREFIX)) return null;
+    const pair = hash.slice(COMPARE_PREFIX.length).split('/').filter(Boolean);
+    return pair.length === 2 && pair.every(a => ADDR_RE.test(a)) ? pair : null;
+  }
+
+  function updateURL(wallets, { compare = false } = {}) {
+    window.location.hash = compare ? COMPARE_PREFIX + wallets.join('/') : wallets.join(',') + dateRangeQuery();
+  }
+
+  /** Run whatever the hash asks for; false when it names no wallets. */
+  function routeFromURL() {
+    const pair = getCompareFromURL();
+    if (pair) {
+      /* Comparisons are all-time */
+      dateRange = { preset: 'all', from: '', to: '' };
+      compare(pair);
+      return true;
+    }
+    const wallets = getWalletsFromURL();
+    if (!wallets) return false;
+    dateRange = parseDateRange(decodeURIComponent(window.location.hash).split('?')[1] || '');
+    renderDateRangeControls({ ready: !analysisController });
+    /* Only the range changed: re-render what is already loaded, or let the load in progress pick it up */
+    if (lastData && !compareData && sameWallets(wallets, currentWallets)) {
+      if (!analysisController) renderDashboard(getViewData());
+      return true;
+    }
+    showWalletsInInput(wallets);
+    analyze(wallets);
+    return true;
+  }
+
+  function sameWallets(a, b) {
+    return !!a && !!b && a.length === b.length && a.every((w, i) => w.toLowerCase() === b[i].toLowerCase());
   }
 
-  function updateURL(address) {
-    window.location.hash = address;
+  function showWalletsInInput(wallets) {
+    addressInput.value = wallets.map(w => w.slice(2)).join(', ');
+    validateInput();
   }
 
   window.addEventListener('hashchange', () => {
-    const address = getAddressFromURL();
-    if (address) {
-      addressInput.value = address.slice(2);
-      validateInput();
-      analyze(address);
-    } else {
+    if (!routeFromURL()) {
+      cancelAnalysis();
       destroyCharts();
       activePositions = [];
       lastData = null;
+      compareData = null;
       showScreen(entryScreen);
     }
   });
 
   /** On page load, check URL for address */
   function initFromURL() {
-    const address = getAddressFromURL();
-    if (address) {
-      addressInput.value = address.slice(2);
-      validateInput();
-      analyze(address);
-    }
+    routeFromURL();
   }
 
   /* ---------- INIT ---------- */